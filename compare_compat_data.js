@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Compare two generated compat datasets and report the changes of the
+ * Thunderbird support data, grouped by namespace.
+ *
+ * Reported changes:
+ *  - added: entries which only exist in the new dataset
+ *  - removed: entries which only exist in the old dataset
+ *  - flipped: entries which changed from supported to unsupported or vice versa
+ *  - version_changed: supported entries with a changed version_added value
+ *
+ * Entries which only exist in one of the datasets, but have the same compat data
+ * as their nearest parent in the other dataset, are not reported, as they are
+ * just the result of a different minimization.
+ */
+
+const fs = require("fs-extra");
+const yargs = require("yargs");
+
+const CHANGE_TYPES = {
+  added: "Added",
+  removed: "Removed",
+  flipped: "Support flipped",
+  version_changed: "Version changed",
+};
+
+const HELP_SCREEN = `
+Usage:
+
+    node compare_compat_data.js <options>
+
+Required options:
+   --old=path               - Path to the previously generated JSON file (for
+                              example thunderbird_mailextensions.json).
+   --new=path               - Path to the newly generated JSON file.
+
+Optional options:
+   --json                   - Print the changes as JSON instead of Markdown.
+
+`;
+
+if (require.main === module) {
+  const args = yargs.argv;
+  if (!args.old || !args.new) {
+    console.log(HELP_SCREEN);
+  } else {
+    const changes = compareCompatData(
+      readCompatData(args.old),
+      readCompatData(args.new)
+    );
+    console.log(
+      args.json ? JSON.stringify(changes, null, 2) : formatMarkdown(changes)
+    );
+  }
+}
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Read a generated compat dataset.
+ *
+ * @param {string} path - Path to the JSON file.
+ *
+ * @returns {object} The webextensions tree of the dataset.
+ */
+function readCompatData(path) {
+  const json = JSON.parse(fs.readFileSync(path, "utf-8"));
+  return json.webextensions ?? json;
+}
+
+/**
+ * Get the version_added value of the thunderbird support statement of an entry.
+ *
+ * @param {object} entry - An entry of the compat tree.
+ *
+ * @returns {string|boolean|undefined}
+ */
+function getVersionAdded(entry) {
+  const support = entry?.__compat?.support?.thunderbird;
+  return Array.isArray(support)
+    ? support[0]?.version_added
+    : support?.version_added;
+}
+
+/**
+ * Collect all entries of a compat tree, which have a thunderbird support
+ * statement.
+ *
+ * @param {object} tree - The webextensions tree.
+ *
+ * @returns {Map<string, string|boolean>} The version_added values, keyed by
+ *   path.
+ */
+function collectEntries(tree, entries = new Map(), path = "") {
+  for (const [key, value] of Object.entries(tree)) {
+    if (key == "__compat" || typeof value !== "object" || !value) {
+      continue;
+    }
+    const entryPath = path ? `${path}.${key}` : key;
+    const version_added = getVersionAdded(value);
+    if (version_added !== undefined) {
+      entries.set(entryPath, version_added);
+    }
+    collectEntries(value, entries, entryPath);
+  }
+  return entries;
+}
+
+// Get the version_added value of the nearest parent of the given path.
+function getInheritedVersionAdded(entries, path) {
+  const parts = path.split(".");
+  while (parts.length > 1) {
+    parts.pop();
+    const parentPath = parts.join(".");
+    if (entries.has(parentPath)) {
+      return entries.get(parentPath);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Compare two compat trees.
+ *
+ * @param {object} oldTree - The webextensions tree of the old dataset.
+ * @param {object} newTree - The webextensions tree of the new dataset.
+ *
+ * @returns {object} The changes, grouped by namespace (for example api.tabs or
+ *   manifest.permissions) and change type.
+ */
+function compareCompatData(oldTree, newTree) {
+  const oldEntries = collectEntries(oldTree);
+  const newEntries = collectEntries(newTree);
+  const changes = {};
+
+  const addChange = (path, type, change) => {
+    const namespace = path.split(".").slice(0, 2).join(".");
+    if (!changes[namespace]) {
+      changes[namespace] = {};
+    }
+    if (!changes[namespace][type]) {
+      changes[namespace][type] = [];
+    }
+    changes[namespace][type].push({ path, ...change });
+  };
+
+  const paths = [...new Set([...oldEntries.keys(), ...newEntries.keys()])];
+  for (const path of paths.sort()) {
+    const from = oldEntries.has(path)
+      ? oldEntries.get(path)
+      : getInheritedVersionAdded(oldEntries, path);
+    const to = newEntries.has(path)
+      ? newEntries.get(path)
+      : getInheritedVersionAdded(newEntries, path);
+
+    if (!oldEntries.has(path)) {
+      if (from !== to) {
+        addChange(path, "added", { version_added: to });
+      }
+    } else if (!newEntries.has(path)) {
+      if (from !== to) {
+        addChange(path, "removed", { version_added: from });
+      }
+    } else if (!!from !== !!to) {
+      addChange(path, "flipped", { from, to });
+    } else if (from !== to) {
+      addChange(path, "version_changed", { from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Format the changes returned by compareCompatData() as Markdown.
+ *
+ * @param {object} changes - The changes.
+ *
+ * @returns {string} The Markdown document.
+ */
+function formatMarkdown(changes) {
+  const namespaces = Object.keys(changes).sort();
+  if (!namespaces.length) {
+    return "No changes.\n";
+  }
+
+  const lines = [];
+  for (const namespace of namespaces) {
+    lines.push(`## ${namespace}`, "");
+    for (const [type, title] of Object.entries(CHANGE_TYPES)) {
+      const entries = changes[namespace][type];
+      if (!entries) {
+        continue;
+      }
+      lines.push(`### ${title}`, "");
+      for (const entry of entries) {
+        if ("version_added" in entry) {
+          lines.push(`- \`${entry.path}\`: \`${entry.version_added}\``);
+        } else {
+          lines.push(
+            `- \`${entry.path}\`: \`${entry.from}\` → \`${entry.to}\``
+          );
+        }
+      }
+      lines.push("");
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = { compareCompatData, formatMarkdown, readCompatData };
@@ -8,23 +8,38 @@
  * Version: 1.0 (28.06.2024)
  *
  * Features:
- *  - clone the existing browser-compat-data as a starting point
- *  - read and parse all schema files
- *  - handle $imports and $refs (recursive refs are ignored)
+ *  - clone the existing browser-compat-data as a starting point, translate the
+ *    Firefox versions into Thunderbird versions
+ *  - use a local checkout or data.json file of browser-compat-data instead of
+ *    the installed npm package
+ *  - read and parse all schema files, either from a source repository or from
+ *    the omni.ja archives of a Thunderbird and a Firefox installation
+ *  - write and replay snapshots of the read schema files
+ *  - handle namespace-qualified $imports and $refs, model recursive refs as
+ *    references to the type definition
  *  - update compat data based on the schema files, trust re-used firefox
  *    schemas as fully supported
  *  - use an override file to manually change/enrich compat data
+ *  - annotate overrides with a reason, a bug URL and an until version
+ *  - read skipped schema files, (un)supported and reimplemented namespaces from
+ *    a commented configuration file
+ *  - extract the version_added values of Thunderbird's own APIs from the schema
+ *    files of older releases
  *  - auto-remove sub-entries if they all have the same compat data as the parent
  *  - handle unsupported
+ *  - handle deprecated
+ *  - mark API members with unsupported sub-entries as partially implemented,
+ *    add notes for manifest version limits, add version_removed values
+ *  - map manifest keys and permissions onto the webextensions.manifest tree
+ *  - export the permissions required by each API
+ *  - generate Manifest V2 or Manifest V3 only compat data
+ *  - report the changes compared to a previously generated dataset
+ *  - validate the generated data against the compat data schema of BCD
+ *  - report contradicting support data of parent and child entries
  *  - handle different notations and log all unexpected entries
  *
  * TODO:
- *  [ ]: Instead of excluding files, add the APIs to the override file, to be
- *       able to add comments.
- *  [ ] Programmatically extract the correct version_added value
  *  [ ] Do not add parents of non-nested properties
- *  [ ] handle deprecated
- *  [ ] handle manifests
  * 
  * Note: There are 4 different notation for parameter properties:
  *  - flatting (tabs.create(), tabs.executeScript(), https://github.com/mdn/browser-compat-data/blob/7afd5da3bfe0e0f4434585ee75f277d784662caf/webextensions/api/tabs.json#L2002)
@@ -37,66 +52,92 @@
  *  - tabs.update has tabId as first parameter and updateProperties is using propName_value notation (https://github.com/mdn/browser-compat-data/pull/23544)
  */
 
+const os = require("os");
 const path = require("path");
 const fs = require("fs-extra");
 const yargs = require("yargs");
 const jsonUtils = require("comment-json");
-const bcd = require("@mdn/browser-compat-data");
-
-// Note: Using a positive-confirm list and a known-false-positive list to have
-// control over the parameter entries which are accepted in flat property notation.
-// It should be a goal to remove all usages of the flat property notation in BCD.
-const CONFIRMED_FLAT_PROPS = [
-  "action.functions.setIcon.parameters.details.properties.imageData",
-  "browserAction.functions.setIcon.parameters.details.properties.imageData",
-  "commands.functions.update.parameters.detail.properties.",
-  "menus.functions.create.parameters.createProperties.properties.",
-  "tabs.functions.create.parameters.createProperties.properties.",
-  "tabs.functions.executeScript.parameters.details.properties.",
-  "tabs.functions.insertCSS.parameters.details.properties.",
-  "windows.functions.update.parameters.updateInfo.properties.",
-  "windows.functions.getAll.parameters.getInfo.properties.",
+const extract = require("extract-zip");
+const {
+  compareCompatData,
+  formatMarkdown,
+  readCompatData,
+} = require("./compare_compat_data.js");
+const {
+  getCompatStatementIssues,
+  validateCompatData,
+} = require("./validate_compat_data.js");
+const { lintCompatData } = require("./lint_compat_data.js");
+
+// The default generator configuration, defining skipped schema files,
+// (un)supported and reimplemented namespaces and accepted flat properties.
+const DEFAULT_CONFIG = path.join(__dirname, "generator_config.json");
+const CONFIG_KEYS = [
+  "skip_browser_schemas",
+  "skip_toolkit_schemas",
+  "supported_browser_namespaces",
+  "reimplemented_browser_namespaces",
+  "unsupported_toolkit_namespaces",
+  "reimplemented_toolkit_namespaces",
+  "confirmed_flat_props",
+  "known_false_positive_flat_props",
 ];
 
-const KNOWN_FALSE_POSITIVE_FLAT_PROPS = [
-  "bookmarks.functions.search.parameters.query.properties.query",
-  "topSites.types.MostVisitedURL.properties.type.enum.url",
-  "bookmarks.events.onCreated.parameters.bookmark.properties.id",
-  "bookmarks.events.onRemoved.parameters.removeInfo.properties.node.properties.",
-  "menus.types.OnShowData.properties.selectedAccount.properties.rootFolder.properties.",
-  "menus.types.OnClickData.properties.selectedAccount.properties.rootFolder.properties.",
-  "menus.events.onShown.parameters.info.properties.selectedAccount.properties.rootFolder.properties.",
-  "menus.events.onClicked.parameters.info.properties.selectedAccount.properties.rootFolder.properties.",
-  "menus.functions.update.parameters.updateProperties.properties.onclick.parameters.info.properties.selectedAccount.properties.rootFolder.properties.",
-  "menus.functions.create.parameters.createProperties.properties.onclick.parameters.info.properties.selectedAccount.properties.rootFolder.properties.",
+// Manifest types which define the top level manifest keys, and the manifest
+// types which define the values of the permissions and optional_permissions
+// manifest keys.
+const MANIFEST_KEY_TYPES = ["ManifestBase", "WebExtensionManifest"];
+const MANIFEST_PERMISSION_TYPES = {
+  permissions: [
+    "Permission",
+    "PermissionNoPrompt",
+    "OptionalPermission",
+    "OptionalPermissionNoPrompt",
+  ],
+  optional_permissions: [
+    "OptionalPermission",
+    "OptionalPermissionNoPrompt",
+    "OptionalOnlyPermission",
+  ],
+};
+
+// Groups of schema sub-entries, which are processed by updateCompatData(). The
+// single groups do not have named members, but are an entry themselves (for
+// example functions.getManifest.returns). The members of the transparent groups
+// belong to the parent entry (for example the properties of the items of an
+// array, or the properties of the object branch of a choices value). The event
+// listener filters and extra listener parameters are nested into the event, as
+// in BCD (for example tabs.onUpdated.filter).
+const NAMED_SUB_ENTRY_TYPES = [
+  "properties",
+  "parameters",
+  "enum",
+  "choices",
+  "filters",
+  "extraParameters",
 ];
-
-const SKIP_BROWSER_SCHEMAS = ["normandyAddonStudy.json"];
-const SKIP_TOOLKIT_SCHEMAS = [
-  // Privileged extensions only.
-  "activity_log.json",
-  "geckoProfiler.json",
-  "network_status.json",
-  "telemetry.json",
-  // Not usable by extensions.
-  "test.json",
-];
-
-const SUPPORTED_BROWSER_NAMESPACES = ["pkcs11"];
-const REIMPLEMENTED_BROWSER_NAMESPACES = [
-  "commands",
-  "menus",
-  "sessions",
-  "tabs",
-  "windows",
-];
-
-const UNSUPPORTED_TOOLKIT_NAMESPACES = [
-  "pageAction",
-  "captivePortal",
-  "proxy", // Bug 1903727.
-];
-const REIMPLEMENTED_TOOLKIT_NAMESPACES = ["action", "browserAction", "theme"];
+const SINGLE_SUB_ENTRY_TYPES = ["returns", "additionalProperties"];
+const TRANSPARENT_SUB_ENTRY_TYPES = ["items"];
+
+// Members of the __override annotation of override entries.
+const OVERRIDE_ANNOTATION_KEYS = ["reason", "bug", "until"];
+
+// Thunderbird and Firefox releases with the same version number are based on the
+// same Gecko version. Between two ESR releases, Thunderbird only published beta
+// releases, until the monthly release channel was established.
+const THUNDERBIRD_ESR_VERSIONS = [68, 78, 91, 102, 115, 128, 140];
+const THUNDERBIRD_FIRST_MONTHLY_VERSION = 128;
+// The first Thunderbird release with MailExtension support. Older Firefox
+// versions are clamped to this version.
+const THUNDERBIRD_FIRST_MAILEXTENSION_VERSION = 68;
+
+// Location of the toolkit, browser and Thunderbird schema files inside of the
+// omni.ja archives.
+const OMNI_SCHEMA_PATHS = {
+  toolkit: ["chrome", "toolkit", "content", "extensions", "schemas"],
+  browser: ["chrome", "browser", "content", "browser", "schemas"],
+  mail: ["chrome", "messenger", "content", "messenger", "schemas"],
+};
 
 const HELP_SCREEN = `
 Usage:
@@ -107,15 +148,67 @@ Required options:
    --source=path            - Path to a local checkout of a mozilla source
                               repository with a matching /comm directory.
 
+   or
+
+   --omni=path              - Path to a Thunderbird installation, to read the
+                              toolkit and Thunderbird schema files from its
+                              omni.ja and browser/omni.ja archives.
+   --firefox-omni=path      - Path to the Firefox installation with the same
+                              version, to read the browser schema files from
+                              its browser/omni.ja archive.
+
+   or
+
+   --snapshot=path          - Path to a schema snapshot written by the
+                              --write-snapshot option.
+
 Optional options:
    --no-mailextensions      - Do not add (Thunderbird-only) MailExtensions APIs.
    --no-minimize            - Do not minimize compat data by excluding properties
                               which have the same compat data as their parent
                               parameter.
+   --config=path            - Path to a JSON file with the generator
+                              configuration (skipped schema files, supported,
+                              unsupported and reimplemented namespaces, accepted
+                              flat properties). Defaults to
+                              generator_config.json.
+   --bcd=path               - Path to the upstream browser-compat-data to use
+                              instead of the installed npm package: a data.json
+                              file (or a folder with a data.json file) or a
+                              local checkout of the browser-compat-data
+                              repository (for example of an unreleased pull
+                              request).
    --override=path          - Path to a JSON file with compat data, which should
                               be enforced (for example to mark a toolkit API only
                               partially compatible). The applicable entries of
                               that data are printed to the console.
+   --validate-override      - Validate the override file against the generated
+                              data instead of writing any files: report entries
+                              for unknown API paths, entries which do not change
+                              the generated data and invalid entries. Exits with
+                              a non-zero exit code, if issues have been found.
+   --history=path           - Path to a directory with one sub-directory per
+                              Thunderbird version (named after the version, for
+                              example 115), each being a local checkout of the
+                              matching mozilla source repository (or a copy of
+                              its schema folders). A single checkout can be
+                              specified as <version>:<path>. The option can be
+                              used multiple times. The schema files of these
+                              releases are used to determine the version_added
+                              and version_removed values of Thunderbird's own
+                              APIs, the current schema files being the final
+                              version.
+   --manifest-version=2|3   - Only consider APIs and manifest entries, which are
+                              available in the given manifest version. The
+                              output file names are suffixed with _mv2 or _mv3.
+   --write-snapshot=path    - Write a snapshot of the read schema files, the
+                              Thunderbird version and the browser-compat-data
+                              version to the given file, to be able to reproduce
+                              the generated data later using --snapshot.
+   --compare=path           - Path to a previously generated JSON file (for
+                              example thunderbird_mailextensions.json). The
+                              changes of the generated data are written to
+                              <output>.changes.md and <output>.changes.json.
    --verbosity=level        - Integer representing a selection (sum) of the
                               requested log entries: 
                                 1: namespace definitions after $imports
@@ -124,81 +217,313 @@ Optional options:
 
 `;
 
-const args = yargs.argv;
+// Command line arguments are only used if the script is executed directly and
+// not imported as a library.
+const args = require.main === module ? yargs.argv : {};
 const VERBOSITY = args.verbosity ? parseInt(args.verbosity, 10) : 0;
 const MINIMIZE = args.minimize ?? true;
 const INCLUDE_MAILEXTENSIONS = args.mailextensions ?? true;
-
-if (!args.source) {
-  console.log(HELP_SCREEN);
-} else {
-  main();
+const MANIFEST_VERSION = args.manifestVersion
+  ? parseInt(args.manifestVersion, 10)
+  : 0;
+const OUTPUT_NAME = `${
+  INCLUDE_MAILEXTENSIONS
+    ? "thunderbird_mailextensions"
+    : "thunderbird_webextensions"
+}${MANIFEST_VERSION ? `_mv${MANIFEST_VERSION}` : ""}`;
+
+if (require.main === module) {
+  if (
+    !(args.source || args.snapshot || (args.omni && args.firefoxOmni)) ||
+    (MANIFEST_VERSION && ![2, 3].includes(MANIFEST_VERSION))
+  ) {
+    console.log(HELP_SCREEN);
+  } else {
+    main().catch(err => {
+      console.error(`Error: ${err.message}`);
+      process.exitCode = 1;
+    });
+  }
 }
 
 // -----------------------------------------------------------------------------
 
 async function main() {
+  if (
+    args.validateOverride &&
+    !(args.override && fs.existsSync(args.override))
+  ) {
+    console.error("Error: --validate-override requires --override");
+    process.exitCode = 1;
+    return;
+  }
+
+  // Read the previous compat data, before it is overwritten.
+  const previous = args.compare ? readCompatData(args.compare) : null;
+
+  const result = await generate({
+    source: args.source,
+    snapshot: args.snapshot,
+    omni: args.omni,
+    firefoxOmni: args.firefoxOmni,
+    bcd: args.bcd,
+    override: args.override,
+    history: args.history,
+    writeSnapshot: args.writeSnapshot,
+    config: args.config,
+    manifestVersion: MANIFEST_VERSION,
+    minimize: MINIMIZE,
+    includeMailExtensions: INCLUDE_MAILEXTENSIONS,
+  });
+
+  if (args.validateOverride) {
+    // Report the issues of the override data, do not write any files.
+    const issues = [
+      ...result.override.issues,
+      ...result.override.annotationIssues,
+    ];
+    issues.forEach(e => console.log(e));
+    console.log(`Found ${issues.length} issue(s) in ${args.override}`);
+    if (issues.length) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  // Log entries collected in updateCompatData.
+  result.logEntries.forEach(e => console.log(e));
+
+  if (result.override) {
+    // Warn about expired overrides and invalid annotations.
+    result.override.annotationIssues.forEach(e =>
+      console.error(`Warning: ${e}`)
+    );
+
+    // Output the actually overridden values, to help minimize the override file.
+    console.log(
+      JSON.stringify({ webextensions: result.override.modified }, null, 2)
+    );
+  }
+
+  // Do not write data, which is invalid according to the compat data schema of
+  // BCD.
+  if (result.errors.length) {
+    result.errors.forEach(e =>
+      console.error(`Error: Invalid compat data: ${e.path}: ${e.message}`)
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  // Report contradicting support data, which should be fixed in the schema files
+  // or in the override file.
+  result.issues.forEach(e =>
+    console.error(`Warning: ${e.path}: ${e.message} (${e.type})`)
+  );
+
+  await writeCompatData(result.webextensions, OUTPUT_NAME, result.permissions);
+
+  // Write the changes compared to the previous compat data.
+  if (previous) {
+    const changes = compareCompatData(previous, result.webextensions);
+    await writePrettyJSONFile(`${OUTPUT_NAME}.changes.json`, changes);
+    await fs.outputFile(`${OUTPUT_NAME}.changes.md`, formatMarkdown(changes));
+    console.log(
+      `Changes compared to ${args.compare} written to ${OUTPUT_NAME}.changes.md and ${OUTPUT_NAME}.changes.json`
+    );
+  }
+}
+
+/**
+ * Generate the Thunderbird compat data. The schema files are read from a source
+ * repository, from a schema snapshot or from the omni.ja archives of a
+ * Thunderbird and a Firefox installation.
+ *
+ * @param {object} options
+ * @param {string} [options.source] - Path to a local checkout of a mozilla
+ *   source repository with a matching /comm directory.
+ * @param {string} [options.snapshot] - Path to a schema snapshot.
+ * @param {string} [options.omni] - Path to a Thunderbird installation.
+ * @param {string} [options.firefoxOmni] - Path to the matching Firefox
+ *   installation.
+ * @param {string} [options.bcd] - Path to the upstream browser-compat-data to
+ *   use instead of the installed npm package.
+ * @param {string|object} [options.override] - Path to the override file, or the
+ *   override data.
+ * @param {string|string[]} [options.history] - The schema sources of older
+ *   Thunderbird releases, see getHistorySources().
+ * @param {string} [options.writeSnapshot] - Path to write a schema snapshot to.
+ * @param {string|object} [options.config] - Path to the generator
+ *   configuration, or the configuration data. Defaults to generator_config.json.
+ * @param {number} [options.manifestVersion] - Only mark entries as supported,
+ *   which are available in the given manifest version (2 or 3).
+ * @param {boolean} [options.minimize=true] - Whether to exclude entries which
+ *   have the same compat data as their parent.
+ * @param {boolean} [options.includeMailExtensions=true] - Whether to add the
+ *   Thunderbird-only MailExtensions APIs.
+ *
+ * @returns {object} The generated webextensions tree (webextensions), the log
+ *   entries collected while updating the compat data (logEntries), the errors
+ *   found by validateCompatData() (errors), the issues found by
+ *   lintCompatData() (issues), the permission map, see collectPermissions()
+ *   (permissions) and, if override data was used, its modified entries and
+ *   found issues (override).
+ */
+async function generate(options) {
+  const {
+    minimize = true,
+    includeMailExtensions = true,
+    manifestVersion = 0,
+  } = options;
+  const config =
+    typeof options.config == "object"
+      ? parseConfig(options.config, "config")
+      : readConfig(options.config ?? DEFAULT_CONFIG);
+  const isAvailable = (namespace_entry, getEntry) =>
+    isAvailableInManifestVersion(namespace_entry, getEntry, manifestVersion);
   const tcd = { webextensions: { api: {} } };
 
   // Read override compat data.
-  let override;
-  if (args.override && fs.existsSync(args.override)) {
-    override = jsonUtils.parse(fs.readFileSync(args.override, "utf-8"));
+  let override = options.override;
+  if (typeof override == "string") {
+    override = fs.existsSync(override)
+      ? jsonUtils.parse(fs.readFileSync(override, "utf-8"))
+      : undefined;
   }
 
-  // Read the relevant toolkit schema files, excluding internal API's.
-  const toolkit_namespaces = readSchemaFiles(
-    getJsonFiles(
-      path.join(args.source, "toolkit", "components", "extensions", "schemas")
-    ).filter(e => !SKIP_TOOLKIT_SCHEMAS.includes(e.name))
-  );
+  const bcd = readBrowserCompatData(options.bcd);
 
-  // Read the browser schema files.
-  const browser_namespaces = readSchemaFiles(
-    getJsonFiles(
-      path.join(args.source, "browser", "components", "extensions", "schemas")
-    ).filter(e => !SKIP_BROWSER_SCHEMAS.includes(e.name))
-  );
+  // Read the schema files, either from a snapshot, from a source repository or
+  // from the omni.ja archives of a Thunderbird and a Firefox installation.
+  let schemaSets, sourceVersion;
+  if (options.snapshot) {
+    const snapshot = JSON.parse(fs.readFileSync(options.snapshot, "utf-8"));
+    if (snapshot.bcd_version != bcd.__meta?.version) {
+      console.error(
+        `Warning: The snapshot was created with browser-compat-data ${snapshot.bcd_version}, using ${bcd.__meta?.version}`
+      );
+    }
+    schemaSets = snapshot.schemas;
+    sourceVersion = snapshot.thunderbird_version;
+  } else {
+    const { folders, version, tmpDir } = options.source
+      ? {
+          folders: getSchemaFolders(options.source),
+          version: getSourceVersion(options.source),
+        }
+      : await extractSchemaFolders(options.omni, options.firefoxOmni);
+    try {
+      schemaSets = readSchemaSets(folders, config);
+    } finally {
+      // The extracted omni.ja archives are no longer needed.
+      if (tmpDir) {
+        fs.removeSync(tmpDir);
+      }
+    }
+    sourceVersion = version;
+  }
 
-  // Read Thunderbird's own schema files.
-  const mail_namespaces = readSchemaFiles(
-    getJsonFiles(
-      path.join(
-        args.source,
-        "comm",
-        "mail",
-        "components",
-        "extensions",
-        "schemas"
-      )
-    )
-  );
+  // Write the snapshot before the schema sets are modified by processImports().
+  if (options.writeSnapshot) {
+    fs.writeFileSync(
+      options.writeSnapshot,
+      JSON.stringify({
+        thunderbird_version: sourceVersion,
+        bcd_version: bcd.__meta?.version,
+        schemas: schemaSets,
+      })
+    );
+  }
 
-  processImports(toolkit_namespaces);
-  processImports(browser_namespaces);
-  processImports(mail_namespaces);
+  // $imports and $refs, which could not be resolved unambiguously.
+  const ambiguities = [];
+  const { toolkit_namespaces, browser_namespaces, mail_namespaces } =
+    processSchemaSets(schemaSets, ambiguities);
+  validateConfig(
+    config,
+    schemaSets.files,
+    toolkit_namespaces,
+    browser_namespaces
+  );
 
-  // Clone browser-compat-data.
-  cloneBrowserCompatData(bcd.webextensions, tcd.webextensions);
+  // Clone browser-compat-data. Firefox versions, which could not be mapped to a
+  // Thunderbird version, are reported together with the lint issues.
+  const versionIssues = [];
+  cloneBrowserCompatData(bcd.webextensions, tcd.webextensions, versionIssues);
 
   const updateCompatDataLogEntries = new Set();
+  const updateEntry = (
+    namespace_entry,
+    compatEntry,
+    skipFlatPropsCheck,
+    status
+  ) =>
+    updateCompatData(
+      tcd,
+      namespace_entry,
+      compatEntry,
+      updateCompatDataLogEntries,
+      skipFlatPropsCheck,
+      status,
+      config
+    );
+
+  // Recursive $refs, which have been truncated while collecting the entries.
+  const refCycles = [];
+
+  // The permissions required to use the supported APIs, keyed by API path.
+  const permissions = {};
 
   if (VERBOSITY & 2) {
     console.log("");
     console.log("Scanning schema files in /comm");
     console.log("==============================");
   }
-  const mail_entries = new Map();
-  for (const namespaceObj of mail_namespaces) {
-    const entries = mail_entries.get(namespaceObj.namespace) ?? new Map();
-    collectNamespaceEntriesAndResolveRefs(namespaceObj, entries, [
-      ...mail_namespaces,
-      ...toolkit_namespaces.filter(
-        e => !REIMPLEMENTED_TOOLKIT_NAMESPACES.includes(e.namespace)
-      ),
-    ]);
-    mail_entries.set(namespaceObj.namespace, entries);
-  }
+  const mail_entries = collectMailEntries(
+    mail_namespaces,
+    toolkit_namespaces,
+    config,
+    refCycles,
+    ambiguities
+  );
+  const mail_manifest_entries = collectManifestEntries(mail_namespaces, [
+    ...mail_namespaces,
+    ...toolkit_namespaces,
+  ]);
+
+  // Determine in which Thunderbird version the entries of Thunderbird's own
+  // schema files have been added, and in which version they have been removed.
+  // The current schema files are the final version.
+  const versionHistory = options.history
+    ? collectVersionHistory(getHistorySources(options.history), config, {
+        version: sourceVersion,
+        entries: getSupportedMailEntries(mail_entries, mail_manifest_entries),
+      })
+    : new Map();
+  const getVersionAdded = (namespace_entry, supported) =>
+    supported && (versionHistory.get(namespace_entry)?.version_added ?? true);
+
+  // Update an entry of a re-implemented namespace, using the status and the
+  // deprecation note of Thunderbird's own schema entry.
+  const updateReimplementedEntry = (namespace_entry, mail_entry) => {
+    const mail_value = mail_entry.get(namespace_entry);
+    const expected = getVersionAdded(
+      namespace_entry,
+      !!mail_value &&
+        !mail_value.unsupported &&
+        isAvailable(namespace_entry, e => mail_entry.get(e))
+    );
+    const deprecationNote = expected && getDeprecationNote(mail_value);
+    updateEntry(
+      namespace_entry,
+      {
+        version_added: expected,
+        ...(deprecationNote ? { notes: deprecationNote } : {}),
+      },
+      false,
+      getCompatStatus(mail_value)
+    );
+  };
 
   if (VERBOSITY & 2) {
     console.log("");
@@ -206,36 +531,48 @@ async function main() {
     console.log("=================================");
   }
   for (const namespaceObj of toolkit_namespaces) {
+    if (namespaceObj.namespace == "manifest") {
+      // Manifest entries are handled separately.
+      continue;
+    }
+    if (
+      !config.unsupported_toolkit_namespaces.includes(namespaceObj.namespace) &&
+      !config.reimplemented_toolkit_namespaces.includes(namespaceObj.namespace)
+    ) {
+      collectPermissions(namespaceObj, permissions);
+    }
     const entries = new Map();
-    collectNamespaceEntriesAndResolveRefs(namespaceObj, entries, [
-      ...browser_namespaces,
-      ...toolkit_namespaces,
-    ]);
+    collectNamespaceEntriesAndResolveRefs(
+      namespaceObj,
+      entries,
+      [...browser_namespaces, ...toolkit_namespaces],
+      refCycles,
+      ambiguities
+    );
 
     const mail_entry = mail_entries.get(namespaceObj.namespace);
     for (const [namespace_entry, value] of entries) {
       let expected;
-      if (UNSUPPORTED_TOOLKIT_NAMESPACES.includes(namespaceObj.namespace)) {
+      if (
+        config.unsupported_toolkit_namespaces.includes(namespaceObj.namespace)
+      ) {
         expected = false;
       } else if (
-        REIMPLEMENTED_TOOLKIT_NAMESPACES.includes(namespaceObj.namespace)
+        config.reimplemented_toolkit_namespaces.includes(namespaceObj.namespace)
       ) {
         // Check how Thunderbird reimplemented the namespace.
-        expected =
-          mail_entry.has(namespace_entry) &&
-          !mail_entry.get(namespace_entry).unsupported;
+        updateReimplementedEntry(namespace_entry, mail_entry);
+        continue;
+      } else if (!isAvailable(namespace_entry, e => entries.get(e))) {
+        expected = false;
       } else {
         // The data copied from BCD should be fine for APIs which Thunderbird
         // re-uses from mozilla-central. Unexpected differences are provided by
         // the overlay file.
+        addCompatNotes(tcd, namespace_entry, getManifestVersionNotes(value));
         continue;
       }
-      updateCompatData(
-        tcd,
-        namespace_entry,
-        { version_added: expected },
-        updateCompatDataLogEntries
-      );
+      updateEntry(namespace_entry, { version_added: expected });
     }
   }
 
@@ -245,83 +582,241 @@ async function main() {
     console.log("=================================");
   }
   for (const namespaceObj of browser_namespaces) {
+    if (namespaceObj.namespace == "manifest") {
+      // Manifest entries are handled separately.
+      continue;
+    }
+    if (config.supported_browser_namespaces.includes(namespaceObj.namespace)) {
+      collectPermissions(namespaceObj, permissions);
+    }
     const entries = new Map();
-    collectNamespaceEntriesAndResolveRefs(namespaceObj, entries, [
-      ...browser_namespaces,
-      ...toolkit_namespaces,
-    ]);
+    collectNamespaceEntriesAndResolveRefs(
+      namespaceObj,
+      entries,
+      [...browser_namespaces, ...toolkit_namespaces],
+      refCycles,
+      ambiguities
+    );
 
     const mail_entry = mail_entries.get(namespaceObj.namespace);
     for (const [namespace_entry, value] of entries) {
       let expected;
-      if (SUPPORTED_BROWSER_NAMESPACES.includes(namespaceObj.namespace)) {
-        // The data copied from BCD should be fine for APIs which Thunderbird
-        // cloned from mozilla-central. Unexpected differences are provided by
-        // the overlay file.
-        continue;
+      if (
+        config.supported_browser_namespaces.includes(namespaceObj.namespace)
+      ) {
+        if (isAvailable(namespace_entry, e => entries.get(e))) {
+          // The data copied from BCD should be fine for APIs which Thunderbird
+          // cloned from mozilla-central. Unexpected differences are provided by
+          // the overlay file.
+          addCompatNotes(tcd, namespace_entry, getManifestVersionNotes(value));
+          continue;
+        }
+        expected = false;
       } else if (
-        REIMPLEMENTED_BROWSER_NAMESPACES.includes(namespaceObj.namespace)
+        config.reimplemented_browser_namespaces.includes(namespaceObj.namespace)
       ) {
         // Check how Thunderbird reimplemented the namespace.
-        expected =
-          mail_entry.has(namespace_entry) &&
-          !mail_entry.get(namespace_entry).unsupported;
+        updateReimplementedEntry(namespace_entry, mail_entry);
+        continue;
       } else {
         // All other browser APIs are not supported.
         expected = false;
       }
-      updateCompatData(
-        tcd,
-        namespace_entry,
-        { version_added: expected },
-        updateCompatDataLogEntries
-      );
+      updateEntry(namespace_entry, { version_added: expected });
+    }
+  }
+
+  // The permissions of the re-implemented namespaces are defined in
+  // Thunderbird's own schema files, and are needed even if the MailExtensions
+  // APIs are not included.
+  for (const namespaceObj of mail_namespaces) {
+    if (
+      namespaceObj.namespace != "manifest" &&
+      (includeMailExtensions ||
+        config.reimplemented_toolkit_namespaces.includes(
+          namespaceObj.namespace
+        ) ||
+        config.reimplemented_browser_namespaces.includes(
+          namespaceObj.namespace
+        ))
+    ) {
+      collectPermissions(namespaceObj, permissions);
     }
   }
 
   // Check Thunderbird's own data, redo the re-implemented namespaces as well,
   // to check for added elements.
-  if (INCLUDE_MAILEXTENSIONS) {
+  if (includeMailExtensions) {
     for (const namespaceObj of mail_namespaces) {
+      if (namespaceObj.namespace == "manifest") {
+        // Manifest entries are handled separately.
+        continue;
+      }
       const entries = mail_entries.get(namespaceObj.namespace);
       const isReimplemented =
-        REIMPLEMENTED_TOOLKIT_NAMESPACES.includes(namespaceObj.namespace) ||
-        REIMPLEMENTED_BROWSER_NAMESPACES.includes(namespaceObj.namespace);
+        config.reimplemented_toolkit_namespaces.includes(
+          namespaceObj.namespace
+        ) ||
+        config.reimplemented_browser_namespaces.includes(
+          namespaceObj.namespace
+        );
+      const unsupportedSubEntries = getUnsupportedSubEntries(entries);
 
       for (const [namespace_entry, value] of entries) {
-        const expected = !value.unsupported;
-        updateCompatData(
-          tcd,
+        const expected = getVersionAdded(
+          namespace_entry,
+          !value.unsupported &&
+            isAvailable(namespace_entry, e => entries.get(e))
+        );
+        updateEntry(
           namespace_entry,
-          { version_added: expected },
-          updateCompatDataLogEntries,
-          !isReimplemented
+          {
+            version_added: expected,
+            ...getAdditionalCompatData(
+              namespace_entry,
+              value,
+              unsupportedSubEntries
+            ),
+          },
+          !isReimplemented,
+          getCompatStatus(value)
         );
       }
     }
   }
 
-  // Log entries collected in updateCompatData.
-  updateCompatDataLogEntries.forEach(e => console.log(e));
+  // Report the truncated recursive $refs, their members are only collected at
+  // the referenced type, and the ambiguous $imports and $refs, which should be
+  // qualified in the schema files.
+  for (const { path, ref, target } of refCycles) {
+    updateCompatDataLogEntries.add(
+      `Info: Truncated recursive $ref ${ref} at ${path}, see ${target}`
+    );
+  }
+  for (const { type, path, ref, namespaces } of ambiguities) {
+    updateCompatDataLogEntries.add(
+      `Warning: Ambiguous ${type} ${ref} at ${path}, defined in ${namespaces.join(
+        ", "
+      )}, using ${namespaces[0]}`
+    );
+  }
 
-  if (override) {
-    // Output the actually overridden values, to help minimize the override file.
-    console.log(
-      JSON.stringify(
+  // Check the manifest entries, using the same rules as for the API entries.
+  const getMailManifestValue = e => mail_manifest_entries.get(e)?.value;
+
+  const toolkit_manifest_entries = collectManifestEntries(toolkit_namespaces);
+  for (const [manifest_entry, { value, origin }] of toolkit_manifest_entries) {
+    let expected;
+    if (config.unsupported_toolkit_namespaces.includes(origin)) {
+      expected = false;
+    } else if (config.reimplemented_toolkit_namespaces.includes(origin)) {
+      expected = getVersionAdded(
+        manifest_entry,
+        mail_manifest_entries.has(manifest_entry) &&
+          !mail_manifest_entries.get(manifest_entry).value.unsupported &&
+          isAvailable(manifest_entry, getMailManifestValue)
+      );
+    } else if (
+      !isAvailable(manifest_entry, e => toolkit_manifest_entries.get(e)?.value)
+    ) {
+      expected = false;
+    } else {
+      // Trust the data copied from BCD.
+      addCompatNotes(tcd, manifest_entry, getManifestVersionNotes(value));
+      continue;
+    }
+    updateEntry(manifest_entry, { version_added: expected });
+  }
+  const browser_manifest_entries = collectManifestEntries(browser_namespaces, [
+    ...browser_namespaces,
+    ...toolkit_namespaces,
+  ]);
+  for (const [manifest_entry, { value, origin }] of browser_manifest_entries) {
+    let expected;
+    if (config.supported_browser_namespaces.includes(origin)) {
+      if (
+        isAvailable(manifest_entry, e => browser_manifest_entries.get(e)?.value)
+      ) {
+        // Trust the data copied from BCD.
+        addCompatNotes(tcd, manifest_entry, getManifestVersionNotes(value));
+        continue;
+      }
+      expected = false;
+    } else if (config.reimplemented_browser_namespaces.includes(origin)) {
+      expected = getVersionAdded(
+        manifest_entry,
+        mail_manifest_entries.has(manifest_entry) &&
+          !mail_manifest_entries.get(manifest_entry).value.unsupported &&
+          isAvailable(manifest_entry, getMailManifestValue)
+      );
+    } else {
+      // All other browser manifest entries are not supported.
+      expected = false;
+    }
+    updateEntry(manifest_entry, { version_added: expected });
+  }
+  if (includeMailExtensions) {
+    for (const [manifest_entry, { value }] of mail_manifest_entries) {
+      updateEntry(
+        manifest_entry,
         {
-          webextensions: overrideBrowserCompatData(
-            override.webextensions,
-            tcd.webextensions
+          version_added: getVersionAdded(
+            manifest_entry,
+            !value.unsupported &&
+              isAvailable(manifest_entry, getMailManifestValue)
           ),
+          ...getAdditionalCompatData(manifest_entry, value),
         },
-        null,
-        2
-      )
-    );
+        false,
+        getCompatStatus(value)
+      );
+    }
+  }
+
+  // Add the entries, which have been removed from Thunderbird's own schema
+  // files.
+  if (includeMailExtensions) {
+    for (const [namespace_entry, compatEntry] of versionHistory) {
+      const namespace = namespace_entry.split(".")[0];
+      if (
+        !compatEntry.version_removed ||
+        mail_entries.get(namespace)?.has(namespace_entry) ||
+        mail_manifest_entries.has(namespace_entry)
+      ) {
+        continue;
+      }
+      const isReimplemented =
+        config.reimplemented_toolkit_namespaces.includes(namespace) ||
+        config.reimplemented_browser_namespaces.includes(namespace);
+      updateEntry(namespace_entry, { ...compatEntry }, !isReimplemented);
+    }
   }
 
-  const browser_compat_data = sortKeys(mergeObjects(bcd, tcd));
-  if (MINIMIZE) {
+  // Validate the override data against the not yet overridden data, and apply
+  // it.
+  const overrideResult = override
+    ? {
+        issues: validateOverride(
+          override.webextensions ?? {},
+          tcd.webextensions
+        ),
+        annotationIssues: getOverrideAnnotationIssues(
+          override.webextensions ?? {},
+          sourceVersion
+        ),
+        modified: overrideBrowserCompatData(
+          override.webextensions ?? {},
+          tcd.webextensions
+        ),
+      }
+    : null;
+
+  // Only the webextensions data of BCD is used. Clone it, to not modify the
+  // (cached) BCD module.
+  const browser_compat_data = sortKeys(
+    mergeObjects({ webextensions: structuredClone(bcd.webextensions) }, tcd)
+  );
+  if (minimize) {
     reduceBrowserCompatData(browser_compat_data.webextensions);
   }
 
@@ -331,30 +826,50 @@ async function main() {
     "webextensions"
   );
 
+  return {
+    webextensions: browser_compat_data.webextensions,
+    logEntries: [...updateCompatDataLogEntries],
+    errors: validateCompatData(
+      browser_compat_data.webextensions,
+      "webextensions"
+    ),
+    issues: [
+      ...versionIssues,
+      ...lintCompatData(browser_compat_data.webextensions, "webextensions"),
+    ],
+    override: overrideResult,
+    permissions: sortKeys(permissions),
+  };
+}
+
+/**
+ * Write the generated compat data to <outputName>.json, and a single file per
+ * namespace to the <outputName>/api folder.
+ *
+ * @param {object} webextensions - The generated webextensions tree.
+ * @param {string} outputName - The name of the output file and folder.
+ * @param {object} [permissions] - The permission map, which is added to
+ *   <outputName>.json next to the webextensions tree.
+ */
+async function writeCompatData(webextensions, outputName, permissions) {
   // Write modified webextension BCD.
   await writePrettyJSONFile(
-    INCLUDE_MAILEXTENSIONS 
-      ? "thunderbird_mailextensions.json"
-      : "thunderbird_webextensions.json",
-    { webextensions: browser_compat_data.webextensions }
+    `${outputName}.json`,
+    permissions ? { webextensions, permissions } : { webextensions }
   );
 
   // Write modified webextension BCD (single file per namespace).
-  const apiDirectory = INCLUDE_MAILEXTENSIONS
-    ? path.join("thunderbird_mailextensions", "api")
-    : path.join("thunderbird_webextensions", "api");
+  const apiDirectory = path.join(outputName, "api");
   if (!fs.existsSync(apiDirectory)) {
     fs.mkdirSync(apiDirectory, { recursive: true });
   }
   for (const file of await fs.readdir(apiDirectory)) {
     await fs.unlink(path.join(apiDirectory, file));
   }
-  for (const namespaceName of Object.keys(
-    browser_compat_data.webextensions.api
-  )) {
+  for (const namespaceName of Object.keys(webextensions.api)) {
     await writePrettyJSONFile(
       path.join(apiDirectory, `${namespaceName}.json`),
-      browser_compat_data.webextensions.api[namespaceName]
+      webextensions.api[namespaceName]
     );
   }
 }
@@ -385,6 +900,466 @@ function sortKeys(x) {
     .reduce((o, k) => ({ ...o, [k]: sortKeys(x[k]) }), {});
 }
 
+/**
+ * Read the upstream browser-compat-data.
+ *
+ * @param {string} [bcdPath] - Path to a data.json file (or to a folder with a
+ *   data.json file, like an unpacked @mdn/browser-compat-data package), or to a
+ *   local checkout of the browser-compat-data repository. If not specified, the
+ *   installed @mdn/browser-compat-data package is used.
+ *
+ * @returns {object} The browser-compat-data.
+ */
+function readBrowserCompatData(bcdPath) {
+  if (!bcdPath) {
+    return require("@mdn/browser-compat-data");
+  }
+  if (!fs.existsSync(bcdPath)) {
+    throw new Error(
+      `Not a browser-compat-data checkout or data.json file: ${bcdPath}`
+    );
+  }
+
+  const dataFile = fs.statSync(bcdPath).isDirectory()
+    ? path.join(bcdPath, "data.json")
+    : bcdPath;
+  if (fs.existsSync(dataFile)) {
+    return JSON.parse(fs.readFileSync(dataFile, "utf-8"));
+  }
+
+  // Merge the source files of a checkout of the repository. Only the browsers
+  // and the webextensions data is needed.
+  if (!fs.existsSync(path.join(bcdPath, "webextensions"))) {
+    throw new Error(
+      `Not a browser-compat-data checkout or data.json file: ${bcdPath}`
+    );
+  }
+  const data = {};
+  const readFolder = folder => {
+    for (const item of fs.readdirSync(folder, { withFileTypes: true })) {
+      const itemPath = path.join(folder, item.name);
+      if (item.isDirectory()) {
+        readFolder(itemPath);
+      } else if (item.name.endsWith(".json")) {
+        mergeObjects(data, JSON.parse(fs.readFileSync(itemPath, "utf-8")));
+      }
+    }
+  };
+  readFolder(path.join(bcdPath, "browsers"));
+  readFolder(path.join(bcdPath, "webextensions"));
+  return data;
+}
+
+/**
+ * Read the generator configuration. Each entry of the configuration lists is
+ * either a string, or an object with a name member and the optional (purely
+ * informative) reason and bug members.
+ *
+ * @param {string} configPath - Path to the JSON file.
+ *
+ * @returns {object} The configuration lists, reduced to their names.
+ */
+function readConfig(configPath) {
+  return parseConfig(
+    jsonUtils.parse(fs.readFileSync(configPath, "utf-8")),
+    configPath
+  );
+}
+
+// Reduce the configuration lists of the given configuration data to their
+// names, see readConfig(). The source is only used in error messages.
+function parseConfig(json, source) {
+  for (const key of Object.keys(json)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      throw new Error(`Unknown entry in ${source}: ${key}`);
+    }
+  }
+
+  const config = {};
+  for (const key of CONFIG_KEYS) {
+    config[key] = (json[key] ?? []).map(e => {
+      const name = typeof e == "string" ? e : e?.name;
+      if (typeof name !== "string") {
+        throw new Error(
+          `Invalid entry in ${source}: ${key}: ${JSON.stringify(e)}`
+        );
+      }
+      return name;
+    });
+  }
+  return config;
+}
+
+// Report configured schema files and namespaces, which do not exist.
+function validateConfig(config, files, toolkit_namespaces, browser_namespaces) {
+  const toolkit_names = toolkit_namespaces.map(n => n.namespace);
+  const browser_names = browser_namespaces.map(n => n.namespace);
+  const checks = [
+    ["skip_toolkit_schemas", files.toolkit],
+    ["skip_browser_schemas", files.browser],
+    ["supported_browser_namespaces", browser_names],
+    ["reimplemented_browser_namespaces", browser_names],
+    ["unsupported_toolkit_namespaces", toolkit_names],
+    ["reimplemented_toolkit_namespaces", toolkit_names],
+  ];
+  for (const [key, known] of checks) {
+    for (const name of config[key]) {
+      if (!known.includes(name)) {
+        console.error(`Warning: Unknown entry in config ${key}: ${name}`);
+      }
+    }
+  }
+}
+
+/**
+ * Get the Thunderbird version of the given mozilla source repository, as
+ * specified in /comm/mail/config/version.txt.
+ *
+ * @param {string} source - Path to a local checkout of a mozilla source
+ *   repository with a matching /comm directory.
+ *
+ * @returns {number|undefined} The major version, or undefined if it could not
+ *   be determined.
+ */
+function getSourceVersion(source) {
+  const versionFile = path.join(
+    source,
+    "comm",
+    "mail",
+    "config",
+    "version.txt"
+  );
+  if (!fs.existsSync(versionFile)) {
+    return undefined;
+  }
+  return parseInt(fs.readFileSync(versionFile, "utf-8"), 10) || undefined;
+}
+
+/**
+ * Get the toolkit, browser and Thunderbird schema folders of the given mozilla
+ * source repository.
+ *
+ * @param {string} source - Path to a local checkout of a mozilla source
+ *   repository with a matching /comm directory.
+ *
+ * @returns {object} The toolkit, browser and mail schema folders.
+ */
+function getSchemaFolders(source) {
+  return {
+    toolkit: path.join(
+      source,
+      "toolkit",
+      "components",
+      "extensions",
+      "schemas"
+    ),
+    browser: path.join(
+      source,
+      "browser",
+      "components",
+      "extensions",
+      "schemas"
+    ),
+    mail: path.join(
+      source,
+      "comm",
+      "mail",
+      "components",
+      "extensions",
+      "schemas"
+    ),
+  };
+}
+
+/**
+ * Extract the schema folders from the omni.ja archives of a Thunderbird
+ * installation (toolkit and Thunderbird schema files) and of the matching
+ * Firefox installation (browser schema files, which are not shipped with
+ * Thunderbird). The archives are extracted into a temporary folder, which has
+ * to be removed by the caller, once the schema files have been read.
+ *
+ * @param {string} thunderbird - Path to the Thunderbird installation folder.
+ * @param {string} firefox - Path to the Firefox installation folder.
+ *
+ * @returns {object} The toolkit, browser and mail schema folders, the
+ *   Thunderbird version of the installation and the temporary folder (tmpDir).
+ */
+async function extractSchemaFolders(thunderbird, firefox) {
+  const tmpDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "generate_compat_data-")
+  );
+
+  const extractArchive = async (archive, name) => {
+    if (!fs.existsSync(archive)) {
+      throw new Error(`Missing omni.ja archive: ${archive}`);
+    }
+    const dir = path.join(tmpDir, name);
+    await extract(archive, { dir });
+    return dir;
+  };
+  try {
+    const toolkitDir = await extractArchive(
+      path.join(thunderbird, "omni.ja"),
+      "toolkit"
+    );
+    const mailDir = await extractArchive(
+      path.join(thunderbird, "browser", "omni.ja"),
+      "mail"
+    );
+    const browserDir = await extractArchive(
+      path.join(firefox, "browser", "omni.ja"),
+      "browser"
+    );
+
+    return {
+      folders: {
+        toolkit: path.join(toolkitDir, ...OMNI_SCHEMA_PATHS.toolkit),
+        browser: path.join(browserDir, ...OMNI_SCHEMA_PATHS.browser),
+        mail: path.join(mailDir, ...OMNI_SCHEMA_PATHS.mail),
+      },
+      version: getInstallationVersion(thunderbird),
+      tmpDir,
+    };
+  } catch (err) {
+    fs.removeSync(tmpDir);
+    throw err;
+  }
+}
+
+/**
+ * Get the version of a Thunderbird installation, as specified in its
+ * application.ini file.
+ *
+ * @param {string} installation - Path to the installation folder.
+ *
+ * @returns {number|undefined} The major version, or undefined if it could not
+ *   be determined.
+ */
+function getInstallationVersion(installation) {
+  const iniFile = path.join(installation, "application.ini");
+  if (!fs.existsSync(iniFile)) {
+    return undefined;
+  }
+  const match = fs
+    .readFileSync(iniFile, "utf-8")
+    .match(/^Version\s*=\s*(\d+)/m);
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+/**
+ * Read and merge the toolkit, browser and Thunderbird schema files. The returned
+ * schema sets only contain plain JSON data and are written to schema snapshots.
+ *
+ * @param {object} folders - The toolkit, browser and mail schema folders, as
+ *   returned by getSchemaFolders() or extractSchemaFolders().
+ * @param {object} config - The generator configuration, see readConfig().
+ *
+ * @returns {object} The toolkit, browser and mail namespaces found in the schema
+ *   folders, and the names of all toolkit and browser schema files (files).
+ */
+function readSchemaSets(folders, config) {
+  const toolkit_files = getJsonFiles(folders.toolkit);
+  const browser_files = getJsonFiles(folders.browser);
+  return {
+    files: {
+      toolkit: toolkit_files.map(e => e.name),
+      browser: browser_files.map(e => e.name),
+    },
+    // Read the relevant toolkit schema files, excluding internal API's.
+    toolkit: readSchemaFiles(
+      toolkit_files.filter(e => !config.skip_toolkit_schemas.includes(e.name))
+    ),
+    // Read the browser schema files.
+    browser: readSchemaFiles(
+      browser_files.filter(e => !config.skip_browser_schemas.includes(e.name))
+    ),
+    // Read Thunderbird's own schema files.
+    mail: readSchemaFiles(getJsonFiles(folders.mail)),
+  };
+}
+
+// Process the $imports of the schema sets returned by readSchemaSets(). The
+// ambiguous $imports are added to the given array, see processImports().
+function processSchemaSets(schemaSets, ambiguities) {
+  const toolkit_namespaces = schemaSets.toolkit;
+  const browser_namespaces = schemaSets.browser;
+  const mail_namespaces = schemaSets.mail;
+
+  processImports(toolkit_namespaces, ambiguities);
+  processImports(browser_namespaces, ambiguities);
+  processImports(mail_namespaces, ambiguities);
+
+  return { toolkit_namespaces, browser_namespaces, mail_namespaces };
+}
+
+// Collect the entries of Thunderbird's own schema files, grouped by namespace.
+// The $refs are not resolved against the toolkit namespaces, which have been
+// reimplemented according to the given generator configuration.
+function collectMailEntries(
+  mail_namespaces,
+  toolkit_namespaces,
+  config,
+  cycles,
+  ambiguities
+) {
+  const mail_entries = new Map();
+  for (const namespaceObj of mail_namespaces) {
+    const entries = mail_entries.get(namespaceObj.namespace) ?? new Map();
+    collectNamespaceEntriesAndResolveRefs(
+      namespaceObj,
+      entries,
+      [
+        ...mail_namespaces,
+        ...toolkit_namespaces.filter(
+          e => !config.reimplemented_toolkit_namespaces.includes(e.namespace)
+        ),
+      ],
+      cycles,
+      ambiguities
+    );
+    mail_entries.set(namespaceObj.namespace, entries);
+  }
+  return mail_entries;
+}
+
+/**
+ * Parse the --history option(s) into a list of versioned source repositories.
+ *
+ * @param {string|string[]} history - Either <version>:<path> pointing to a
+ *   single source repository, or a path to a directory with one sub-directory
+ *   per Thunderbird version.
+ *
+ * @returns {object[]} Objects with version and source members, sorted by
+ *   version in ascending order.
+ */
+function getHistorySources(history) {
+  const sources = [];
+  for (const entry of [history].flat()) {
+    const match = `${entry}`.match(/^(\d+(?:\.\d+)?):(.+)$/);
+    if (match) {
+      sources.push({ version: match[1], source: match[2] });
+      continue;
+    }
+    for (const item of fs.readdirSync(entry, { withFileTypes: true })) {
+      if (!item.isDirectory() && !item.isSymbolicLink()) {
+        continue;
+      }
+      if (!/^\d+(\.\d+)?$/.test(item.name)) {
+        console.error(
+          `Warning: Ignoring history directory with invalid version name: ${item.name}`
+        );
+        continue;
+      }
+      sources.push({ version: item.name, source: path.join(entry, item.name) });
+    }
+  }
+  return sources.sort((a, b) => parseFloat(a.version) - parseFloat(b.version));
+}
+
+/**
+ * Find the earliest Thunderbird version in which each (supported) entry of
+ * Thunderbird's own schema files was available, and the Thunderbird version in
+ * which it was removed again. Entries which are only available in the current
+ * version have been added in the current version.
+ *
+ * @param {object[]} sources - Versioned source repositories, sorted by version
+ *   in ascending order.
+ * @param {object} config - The generator configuration, see readConfig().
+ * @param {object} [current] - The final version: the Thunderbird version of the
+ *   current schema files (version, if known) and their supported entries
+ *   (entries), see getSupportedMailEntries().
+ *
+ * @returns {Map<string, object>} Objects with the version_added value and an
+ *   optional version_removed value, keyed by namespace entry.
+ */
+function collectVersionHistory(sources, config, current) {
+  const versionHistory = new Map();
+  const lastSeen = new Map();
+  const addEntry = (entry, version) => {
+    if (!versionHistory.has(entry)) {
+      versionHistory.set(entry, { version_added: version });
+    }
+    lastSeen.set(entry, version);
+  };
+
+  for (const { version, source } of sources) {
+    if (VERBOSITY & 2) {
+      console.log("");
+      console.log(`Scanning schema files of Thunderbird ${version}`);
+      console.log("=========================================");
+    }
+    const { toolkit_namespaces, mail_namespaces } = processSchemaSets(
+      readSchemaSets(getSchemaFolders(source), config)
+    );
+    const mail_entries = collectMailEntries(
+      mail_namespaces,
+      toolkit_namespaces,
+      config
+    );
+    const mail_manifest_entries = collectManifestEntries(mail_namespaces, [
+      ...mail_namespaces,
+      ...toolkit_namespaces,
+    ]);
+    for (const entry of getSupportedMailEntries(
+      mail_entries,
+      mail_manifest_entries
+    )) {
+      addEntry(entry, version);
+    }
+  }
+
+  // Entries which are missing in a later version (or in the current version)
+  // have been removed in the version following the last version they have been
+  // seen in.
+  const versions = sources.map(s => s.version);
+  if (current?.version) {
+    versions.push(`${current.version}`);
+  }
+  for (const [entry, version] of lastSeen) {
+    if (current?.entries.has(entry)) {
+      continue;
+    }
+    const version_removed = versions[versions.indexOf(version) + 1];
+    if (version_removed) {
+      versionHistory.get(entry).version_removed = version_removed;
+    }
+  }
+
+  // Entries which only exist in the current version have been added in the
+  // current version.
+  if (current?.version) {
+    for (const entry of current.entries) {
+      if (!versionHistory.has(entry)) {
+        versionHistory.set(entry, { version_added: `${current.version}` });
+      }
+    }
+  }
+  return versionHistory;
+}
+
+// Get the supported entries of Thunderbird's own schema files, as returned by
+// collectMailEntries() and collectManifestEntries().
+function getSupportedMailEntries(mail_entries, mail_manifest_entries) {
+  const supported = new Set();
+  for (const [namespace, entries] of mail_entries) {
+    if (namespace == "manifest") {
+      // Manifest entries are handled separately.
+      continue;
+    }
+    for (const [namespace_entry, value] of entries) {
+      if (!value.unsupported) {
+        supported.add(namespace_entry);
+      }
+    }
+  }
+  for (const [manifest_entry, { value }] of mail_manifest_entries) {
+    if (!value.unsupported) {
+      supported.add(manifest_entry);
+    }
+  }
+  return supported;
+}
+
 function getJsonFiles(folderPath) {
   return fs
     .readdirSync(folderPath, { withFileTypes: true })
@@ -409,6 +1384,10 @@ function readSchemaFiles(files) {
   }
 
   for (const schema of schemas) {
+    // The API namespace defined alongside a manifest namespace, which is used
+    // to decide if its manifest entries are supported.
+    const origin = schema.json.map(n => n.namespace).find(n => n != "manifest");
+
     for (const namespaceObj of schema.json) {
       // Merge manifest namespaces.
       const namespaceName = namespaceObj.namespace;
@@ -419,10 +1398,13 @@ function readSchemaFiles(files) {
             continue;
           }
           if (Array.isArray(namespaceObj[key])) {
+            const elements = namespaceObj[key].map(e =>
+              origin && typeof e == "object" ? { ...e, $origin: origin } : e
+            );
             if (manifestObj[key]) {
-              manifestObj[key].push(...namespaceObj[key]);
+              manifestObj[key].push(...elements);
             } else {
-              manifestObj[key] = [...namespaceObj[key]];
+              manifestObj[key] = elements;
             }
           } else {
             console.error(`Error: ${namespaceName}.${key} cannot be merged`);
@@ -452,36 +1434,284 @@ async function writePrettyJSONFile(path, json) {
   }
 }
 
-// -----------------------------------------------------------------------------
-
-// Copy "firefox" entries from the BCD data as "thunderbird" entries into the
-// TCD data.
-function cloneBrowserCompatData(bcdEntry, tcdEntry) {
-  if (typeof bcdEntry !== "object" || !bcdEntry) {
-    console.error(
-      `Error: Should not find an non-object entry in BCD data: ${bcdEntry}`
-    );
-    return;
-  }
-  if (Array.isArray(bcdEntry)) {
-    console.error(
-      `Error: Should not find an array entry in BCD data: ${bcdEntry}`
-    );
-    return;
+// -----------------------------------------------------------------------------
+
+/**
+ * Translate a Firefox version_added or version_removed value into the version
+ * of the first Thunderbird release, which included the same Gecko version.
+ *
+ * @param {string|boolean} firefoxVersion - The version_added or version_removed
+ *   value of a BCD firefox support statement.
+ *
+ * @returns {string|boolean|undefined} The matching value for Thunderbird, or
+ *   undefined if the value could not be mapped.
+ */
+function getThunderbirdVersion(firefoxVersion) {
+  if (typeof firefoxVersion === "boolean") {
+    return firefoxVersion;
+  }
+  // Only available in Firefox Nightly.
+  if (firefoxVersion === "preview") {
+    return false;
+  }
+
+  const match = `${firefoxVersion}`.match(/^(≤?)(\d+)(?:\.\d+)?$/);
+  if (!match) {
+    return undefined;
+  }
+  const [, ranged, major] = match;
+  const version = parseInt(major, 10);
+  if (version <= THUNDERBIRD_FIRST_MAILEXTENSION_VERSION) {
+    return `${ranged}${THUNDERBIRD_FIRST_MAILEXTENSION_VERSION}`;
+  }
+  if (version >= THUNDERBIRD_FIRST_MONTHLY_VERSION) {
+    return `${ranged}${version}`;
+  }
+  const esrVersion = THUNDERBIRD_ESR_VERSIONS.find(v => v >= version);
+  return `${ranged}${esrVersion}`;
+}
+
+// Copy "firefox" entries from the BCD data as "thunderbird" entries into the
+// TCD data. Firefox versions, which cannot be mapped to a Thunderbird version,
+// are added as null and reported in the given issues array.
+function cloneBrowserCompatData(
+  bcdEntry,
+  tcdEntry,
+  issues,
+  parent = "webextensions"
+) {
+  if (typeof bcdEntry !== "object" || !bcdEntry) {
+    console.error(
+      `Error: Should not find an non-object entry in BCD data: ${bcdEntry}`
+    );
+    return;
+  }
+  if (Array.isArray(bcdEntry)) {
+    console.error(
+      `Error: Should not find an array entry in BCD data: ${bcdEntry}`
+    );
+    return;
+  }
+
+  Object.keys(bcdEntry).forEach(k => {
+    if (!tcdEntry[k]) {
+      tcdEntry[k] = {};
+    }
+    if (k == "__compat") {
+      const firefox = bcdEntry[k].support?.firefox;
+      const mapVersion = firefoxVersion => {
+        const version = getThunderbirdVersion(firefoxVersion);
+        if (version !== undefined) {
+          return version;
+        }
+        issues.push({
+          path: parent,
+          type: "unmapped_version",
+          message: `cannot map Firefox version ${firefoxVersion} to a Thunderbird version`,
+        });
+        return null;
+      };
+      const thunderbird = {
+        version_added: mapVersion(firefox?.version_added || false),
+      };
+      if (firefox?.version_removed && thunderbird.version_added) {
+        thunderbird.version_removed = mapVersion(firefox.version_removed);
+        // Removed before the first Thunderbird release including it.
+        if (thunderbird.version_removed === thunderbird.version_added) {
+          thunderbird.version_added = false;
+          delete thunderbird.version_removed;
+        }
+      }
+      tcdEntry[k] = { support: { thunderbird } };
+    } else {
+      cloneBrowserCompatData(
+        bcdEntry[k],
+        tcdEntry[k],
+        issues,
+        `${parent}.${k}`
+      );
+    }
+  });
+}
+
+// Check if the "thunderbird" entry of the override data should replace the
+// "thunderbird" entry of the TCD data.
+function isOverrideApplicable(tcd, override) {
+  // When not to replace?
+  //  - override is empty
+  //  - override.version_added is empty
+  //  - tcd.version_added is a string and bdc.version_added is true
+  //  - no change
+  return !(
+    !override ||
+    typeof override.version_added === "undefined" ||
+    tcd?.version_added === override.version_added ||
+    (typeof tcd?.version_added === "string" && override.version_added === true)
+  );
+}
+
+/**
+ * Get the problems of the shape of a __compat object of the override data, which
+ * must at least have a thunderbird support statement.
+ *
+ * @param {any} compat - The __compat object.
+ *
+ * @returns {string[]} The found problems.
+ */
+function getCompatShapeIssues(compat) {
+  const issues = getCompatStatementIssues(compat);
+  if (!issues.length && !compat.support.thunderbird) {
+    issues.push("missing __compat.support.thunderbird");
+  }
+  return issues;
+}
+
+/**
+ * Validate the override data against the (not yet overridden) TCD data. Reports
+ * override entries for API paths which do not exist, overrides which have no
+ * effect because the TCD data already matches (or because they are not applied)
+ * and __compat objects with an invalid shape.
+ *
+ * @param {object} overrideEntry - The override data.
+ * @param {object} tcdEntry - The TCD data.
+ *
+ * @returns {string[]} The found issues.
+ */
+function validateOverride(
+  overrideEntry,
+  tcdEntry,
+  parent = "webextensions",
+  issues = []
+) {
+  for (const k of Object.keys(overrideEntry)) {
+    const value = overrideEntry[k];
+    if (k == "__compat") {
+      const shapeIssues = getCompatShapeIssues(value);
+      if (shapeIssues.length) {
+        issues.push(`Invalid override: ${parent} (${shapeIssues.join(", ")})`);
+        continue;
+      }
+      const tcd = tcdEntry?.__compat?.support?.thunderbird;
+      const override = getOverrideSupport(overrideEntry);
+      if (JSON.stringify(sortKeys(tcd)) == JSON.stringify(sortKeys(override))) {
+        issues.push(`Redundant override, matches generated data: ${parent}`);
+      } else if (!isOverrideApplicable(tcd, override)) {
+        issues.push(
+          `Redundant override, not applied to generated data ${JSON.stringify(
+            tcd
+          )}: ${parent}`
+        );
+      }
+    } else if (k == "__override") {
+      // Checked by getOverrideAnnotationIssues().
+      continue;
+    } else if (typeof value !== "object" || !value || Array.isArray(value)) {
+      issues.push(`Invalid override: ${parent}.${k} is not an object`);
+    } else if (!tcdEntry?.[k]) {
+      issues.push(`Unknown API path: ${parent}.${k}`);
+    } else {
+      validateOverride(value, tcdEntry[k], `${parent}.${k}`, issues);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Get the "thunderbird" support statement of an override entry. If the entry is
+ * annotated with a reason and the support statement does not have notes, the
+ * reason (and the bug URL) is added as note.
+ *
+ * @param {object} overrideEntry - An entry of the override data.
+ *
+ * @returns {object|undefined} The support statement.
+ */
+function getOverrideSupport(overrideEntry) {
+  const support = overrideEntry.__compat?.support?.thunderbird;
+  const { reason, bug } = overrideEntry.__override ?? {};
+  if (!reason || !support || Array.isArray(support) || support.notes) {
+    return support;
+  }
+  return {
+    ...support,
+    notes: bug ? `${reason} See <a href='${bug}'>${bug}</a>.` : reason,
+  };
+}
+
+// Get a copy of an override entry (and its children) without the __override
+// annotations, but with the notes derived from them.
+function applyOverrideAnnotations(overrideEntry) {
+  const entry = {};
+  for (const [k, value] of Object.entries(overrideEntry)) {
+    if (k == "__compat") {
+      const support = getOverrideSupport(overrideEntry);
+      entry[k] = support
+        ? { ...value, support: { ...value.support, thunderbird: support } }
+        : value;
+    } else if (k != "__override") {
+      entry[k] =
+        typeof value === "object" && value && !Array.isArray(value)
+          ? applyOverrideAnnotations(value)
+          : value;
+    }
   }
+  return entry;
+}
 
-  Object.keys(bcdEntry).forEach(k => {
-    if (!tcdEntry[k]) {
-      tcdEntry[k] = {};
+/**
+ * Check the __override annotations of the override data. Reports annotations
+ * with an invalid shape, and annotations with an until version which is older
+ * than the Thunderbird version of the source, as these overrides should be
+ * re-checked.
+ *
+ * @param {object} overrideEntry - The override data.
+ * @param {number} [sourceVersion] - The Thunderbird version of the source. If
+ *   not specified, the until versions are not checked.
+ *
+ * @returns {string[]} The found issues.
+ */
+function getOverrideAnnotationIssues(
+  overrideEntry,
+  sourceVersion,
+  parent = "webextensions",
+  issues = []
+) {
+  for (const [k, value] of Object.entries(overrideEntry)) {
+    if (typeof value !== "object" || !value || Array.isArray(value)) {
+      continue;
     }
-    if (k == "__compat") {
-      const version_added =
-        bcdEntry[k].support?.firefox?.version_added || false;
-      tcdEntry[k] = { support: { thunderbird: { version_added } } };
-    } else {
-      cloneBrowserCompatData(bcdEntry[k], tcdEntry[k]);
+    if (k == "__override") {
+      const unknown = Object.keys(value).filter(
+        e => !OVERRIDE_ANNOTATION_KEYS.includes(e)
+      );
+      if (unknown.length) {
+        issues.push(
+          `Invalid override annotation: ${parent} (unknown member ${unknown.join(
+            ", "
+          )})`
+        );
+      }
+      if ("until" in value && !/^\d+(\.\d+)*$/.test(`${value.until}`)) {
+        issues.push(
+          `Invalid override annotation: ${parent} (invalid until: ${value.until})`
+        );
+      } else if (sourceVersion && sourceVersion > parseFloat(value.until)) {
+        const details = [value.reason, value.bug].filter(Boolean).join(", ");
+        issues.push(
+          `Expired override, should be re-checked (until ${value.until})${
+            details ? ` [${details}]` : ""
+          }: ${parent}`
+        );
+      }
+    } else if (k != "__compat") {
+      getOverrideAnnotationIssues(
+        value,
+        sourceVersion,
+        `${parent}.${k}`,
+        issues
+      );
     }
-  });
+  }
+  return issues;
 }
 
 // Copy/update "thunderbird" entries from the override data into the TCD data.
@@ -507,29 +1737,17 @@ function overrideBrowserCompatData(
   Object.keys(overrideEntry).forEach(k => {
     if (k == "__compat") {
       const tcd = tcdEntry[k]?.support?.thunderbird;
-      const override = overrideEntry[k]?.support?.thunderbird;
-
-      // When not to replace?
-      //  - override is empty
-      //  - override.version_added is empty
-      //  - tcd.version_added is a string and bdc.version_added is true
-      //  - no change
+      const override = getOverrideSupport(overrideEntry);
 
-      if (
-        !(
-          !override ||
-          typeof override.version_added === "undefined" ||
-          tcd?.version_added === override.version_added ||
-          (typeof tcd?.version_added === "string" &&
-            override.version_added === true)
-        )
-      ) {
+      if (isOverrideApplicable(tcd, override)) {
         if (!modifiedEntry) {
           modifiedEntry = {};
         }
         modifiedEntry[k] = overrideEntry[k];
         tcdEntry[k] = { support: { thunderbird: override } };
       }
+    } else if (k == "__override") {
+      // The annotation is not part of the compat data.
     } else if (tcdEntry[k]) {
       const childMod = overrideBrowserCompatData(
         overrideEntry[k],
@@ -543,7 +1761,7 @@ function overrideBrowserCompatData(
         modifiedEntry[k] = childMod;
       }
     } else {
-      tcdEntry[k] = overrideEntry[k];
+      tcdEntry[k] = applyOverrideAnnotations(overrideEntry[k]);
       if (!modifiedEntry) {
         modifiedEntry = {};
       }
@@ -595,11 +1813,30 @@ function reduceBrowserCompatData(tcdEntry, parentKey, path = "") {
   const parentCompatStrings = new Set();
   const parentCompatEntries = sortKeys(tcdEntry?.__compat?.support);
   let parentCompatVendors = [];
-  let parentCompatString = "";
+  let inheritedCompatString = "";
   if (parentCompatEntries) {
     parentCompatVendors = Object.keys(parentCompatEntries);
-    parentCompatString = JSON.stringify(parentCompatEntries);
-    parentCompatStrings.add(parentCompatString);
+    // Include the status, to not remove deprecated children of a not deprecated
+    // parent.
+    parentCompatStrings.add(
+      JSON.stringify({
+        support: parentCompatEntries,
+        status: sortKeys(tcdEntry.__compat.status),
+      })
+    );
+    // The status, the notes and the partial_implementation of the parent
+    // describe the parent itself (for example its deprecation or its unsupported
+    // sub-entries). Children without own annotations are removed nevertheless.
+    const withoutNotes = ({ notes, partial_implementation, ...rest }) => rest;
+    const inheritedCompatEntries = {};
+    for (const [vendor, statement] of Object.entries(parentCompatEntries)) {
+      inheritedCompatEntries[vendor] = Array.isArray(statement)
+        ? statement.map(withoutNotes)
+        : withoutNotes(statement);
+    }
+    inheritedCompatString = JSON.stringify({
+      support: inheritedCompatEntries,
+    });
   }
 
   // Check all children and remove children which have the same version_added
@@ -618,7 +1855,7 @@ function reduceBrowserCompatData(tcdEntry, parentKey, path = "") {
         parentCompatVendors.length == 1 &&
         parentCompatVendors[0] == "thunderbird" &&
         childCompatStrings.length == 1 &&
-        childCompatStrings[0] == parentCompatString
+        childCompatStrings[0] == inheritedCompatString
       ) {
         delete tcdEntry[k];
       }
@@ -666,10 +1903,23 @@ function checkForMissingThunderbirdEntries(tcdEntry, path = "") {
 }
 // -----------------------------------------------------------------------------
 
-function processImports(namespaces) {
+/**
+ * Replace the $import statements of the given namespaces.
+ *
+ * @param {object[]} namespaces - The namespaces to process, which are also used
+ *   to look up the imported elements.
+ * @param {object[]} [ambiguities] - Receives the $imports, which could not be
+ *   resolved unambiguously, see findSchemaElement().
+ */
+function processImports(namespaces, ambiguities = []) {
   for (let i = 0; i < namespaces.length; i++) {
     const namespaceObj = namespaces[i];
-    namespaces[i] = _processImports(namespaceObj, namespaces);
+    namespaces[i] = _processImports(
+      namespaceObj,
+      namespaces,
+      namespaceObj.namespace,
+      ambiguities
+    );
   }
   if (VERBOSITY & 1) {
     console.log("");
@@ -721,118 +1971,319 @@ function getNestedIdOrNamespace(value, searchString) {
   return undefined;
 }
 
+/**
+ * Find the element with the given id, as referenced by a $ref or an $import.
+ *
+ * A qualified id (<namespace>.<id>) is only looked up in the specified
+ * namespace. An unqualified id is looked up in the current namespace and, if it
+ * is not defined there, in all other namespaces (preferring the manifest
+ * namespace). If this fallback search finds the id in more than one namespace,
+ * the lookup is ambiguous.
+ *
+ * @param {string} refId - The referenced id, for example Tab or tabs.Tab.
+ * @param {string} currentNamespace - The namespace of the referencing element.
+ * @param {object[]} all_namespaces - The namespaces to search.
+ *
+ * @returns {object|null} The found element (value) and the name of its
+ *   namespace (namespace), or null if the id has not been found. If the lookup
+ *   was ambiguous, the names of all namespaces defining the id are included as
+ *   well (ambiguous).
+ */
+function findSchemaElement(refId, currentNamespace, all_namespaces) {
+  const parts = refId.split(".");
+  const id = parts.pop();
+  const requested_namespace = parts.join(".");
+
+  const findInNamespace = namespace => {
+    for (const namespaceObj of all_namespaces) {
+      if (namespaceObj.namespace != namespace) {
+        continue;
+      }
+      const value =
+        namespaceObj.types?.find(e => e.id == id) ??
+        getNestedIdOrNamespace(namespaceObj, id);
+      if (value) {
+        return value;
+      }
+    }
+    return undefined;
+  };
+
+  const namespaces = requested_namespace
+    ? [requested_namespace]
+    : [currentNamespace];
+  let value = findInNamespace(namespaces[0]);
+  if (!value && !requested_namespace) {
+    // Fallback search, needed for unqualified ids of other namespaces.
+    namespaces.splice(
+      0,
+      1,
+      ...[...new Set(all_namespaces.map(n => n.namespace))]
+        .filter(n => n != currentNamespace && findInNamespace(n))
+        .sort((a, b) => (b == "manifest") - (a == "manifest"))
+    );
+    value = namespaces.length ? findInNamespace(namespaces[0]) : undefined;
+  }
+  if (!value) {
+    return null;
+  }
+  return namespaces.length > 1
+    ? { value, namespace: namespaces[0], ambiguous: namespaces }
+    : { value, namespace: namespaces[0] };
+}
+
+/**
+ * Collect the entries of a namespace, keyed by their path (for example
+ * bookmarks.functions.create.parameters.bookmark.properties.title), and resolve
+ * their $refs.
+ *
+ * The referenced types are not copied into the schema, but their members are
+ * collected at the path of the referencing entry. Recursive types are modeled as
+ * references: a $ref to a type, which is already being resolved in the current
+ * path (or whose definition is being collected), is not followed. The members
+ * of such a type are only collected at its definition, and the truncated cycle
+ * is reported with a link to the definition.
+ *
+ * The members of the branches of choices are collected as choices.<type>.*,
+ * where the type is the referenced type or the type of the branch. The branches
+ * themselves are not collected, BCD has no layout for them: the members of all
+ * branches are added to the compat entry of the value itself.
+ *
+ * @param {object} namespaceObj - The namespace to collect.
+ * @param {Map<string, object>} entries - Receives the schema values, keyed by
+ *   path.
+ * @param {object[]} all_namespaces - Namespaces used to resolve $refs.
+ * @param {object[]} [cycles] - Receives the truncated recursive $refs, each with
+ *   the path of the referencing entry (path), the $ref (ref) and the path of the
+ *   referenced type (target).
+ * @param {object[]} [ambiguities] - Receives the $refs, which could not be
+ *   resolved unambiguously, each with the path of the referencing entry (path),
+ *   the $ref (ref) and the namespaces defining the referenced id, the first one
+ *   being used (namespaces).
+ *
+ * @returns {object[]} The truncated recursive $refs.
+ */
 function collectNamespaceEntriesAndResolveRefs(
-  value,
+  namespaceObj,
   entries,
   all_namespaces,
-  parentKey,
-  handledRefs = [],
-  fullPath = ""
+  cycles = [],
+  ambiguities = []
 ) {
-  if (typeof value !== "object") {
-    if (parentKey == "enum") {
-      entries.set(`${fullPath}.${value}`, value);
+  const resolveRef = (refId, fullPath) => {
+    const found = findSchemaElement(
+      refId,
+      namespaceObj.namespace,
+      all_namespaces
+    );
+    if (!found) {
+      console.log(`Warning: Missing requested $ref: ${refId}`);
+      return null;
     }
-    return;
-  }
+    const { value: ref, namespace, ambiguous } = found;
+    if (ambiguous) {
+      ambiguities.push({
+        type: "$ref",
+        path: fullPath,
+        ref: refId,
+        namespaces: ambiguous,
+      });
+    }
+    const id = refId.split(".").pop();
+    const target = all_namespaces.some(
+      n => n.namespace == namespace && n.types?.includes(ref)
+    )
+      ? `${namespace}.types.${id}`
+      : `${namespace}.${id}`;
+    return { ref, target };
+  };
 
-  if (Array.isArray(value)) {
-    value.forEach(e => {
-      collectNamespaceEntriesAndResolveRefs(
-        e,
-        entries,
-        all_namespaces,
-        parentKey,
-        [...handledRefs],
-        fullPath
-      );
+  // The stack holds the types, which are being resolved in the current path.
+  const collect = (value, parentKey, stack, fullPath) => {
+    if (typeof value !== "object") {
+      if (parentKey == "enum") {
+        entries.set(`${fullPath}.${value}`, value);
+      }
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach(e => collect(e, parentKey, stack, fullPath));
+      return;
+    }
+
+    // Looks like value is an object. Find out where we are and build the path.
+    if (value.namespace) {
+      // Reset.
+      fullPath = value.namespace;
+    }
+    if (value.name && typeof value.name !== "object") {
+      fullPath = `${fullPath}.${value.name}`;
+    } else if (value.id && typeof value.id !== "object") {
+      fullPath = `${fullPath}.${value.id}`;
+    }
+
+    if (parentKey == "types" && value.id) {
+      stack = [...stack, value];
+    }
+
+    // Replace $refs by the members of the referenced type, but do not follow
+    // recursive usages. The referenced type is shared and must not be modified.
+    let entry = value;
+    if (value.$ref) {
+      const resolved = resolveRef(value.$ref, fullPath);
+      if (resolved && stack.includes(resolved.ref)) {
+        cycles.push({
+          path: fullPath,
+          ref: value.$ref,
+          target: resolved.target,
+        });
+      } else if (resolved) {
+        entry = { ...value, ...resolved.ref };
+        delete entry.$ref;
+        delete entry.id;
+        stack = [...stack, resolved.ref];
+      }
+    }
+
+    // The choices branches are not entries themselves, only their members.
+    if (fullPath && parentKey != "choices") {
+      entries.set(fullPath, entry);
+      if (VERBOSITY & 2) {
+        console.log(fullPath);
+      }
+    }
+
+    for (const key of Object.keys(entry)) {
+      if (key == "choices" && Array.isArray(entry.choices)) {
+        collectChoices(entry.choices, stack, fullPath);
+      } else {
+        collect(entry[key], key, stack, `${fullPath}.${key}`);
+      }
+    }
+  };
+
+  // Each choice is a branch named after its (referenced) type, for example
+  // compose.types.ComposeDetails.properties.to.choices.array. Only the members
+  // of a branch (its properties, enum values and array items) are collected.
+  const collectChoices = (choices, stack, fullPath) => {
+    const names = new Set();
+    choices.forEach((choice, index) => {
+      let name = choice.$ref?.split(".").pop() ?? choice.type ?? `${index}`;
+      if (names.has(name)) {
+        name = `${name}${index}`;
+      }
+      names.add(name);
+      collect(choice, "choices", stack, `${fullPath}.choices.${name}`);
     });
-    return;
-  }
+  };
+
+  collect(namespaceObj, undefined, [], "");
+  return cycles;
+}
+
+/**
+ * Add the permissions declared by a namespace and by its functions, events and
+ * properties to the given permission map, keyed by API path (for example
+ * messages or messages.delete). The permissions declared by a namespace are
+ * required for all its members as well, they are not repeated for each member.
+ *
+ * @param {object} namespaceObj - The namespace.
+ * @param {object} permissions - The permission map.
+ */
+function collectPermissions(namespaceObj, permissions) {
+  const add = (path, values) => {
+    if (!Array.isArray(values) || !values.length) {
+      return;
+    }
+    permissions[path] = [
+      ...new Set([...(permissions[path] ?? []), ...values]),
+    ].sort();
+  };
 
-  // Looks like value is an object. Find out where we are and build the path.
-  if (value.namespace) {
-    // Reset.
-    fullPath = value.namespace;
+  add(namespaceObj.namespace, namespaceObj.permissions);
+  const members = [
+    ...(namespaceObj.functions ?? []),
+    ...(namespaceObj.events ?? []),
+    ...Object.entries(namespaceObj.properties ?? {}).map(([name, value]) => ({
+      name,
+      ...value,
+    })),
+  ];
+  for (const member of members) {
+    if (!member.unsupported) {
+      add(`${namespaceObj.namespace}.${member.name}`, member.permissions);
+    }
   }
-  if (value.name && typeof value.name !== "object") {
-    fullPath = `${fullPath}.${value.name}`;
-  } else if (value.id && typeof value.id !== "object") {
-    fullPath = `${fullPath}.${value.id}`;
+}
+
+/**
+ * Collect the manifest keys (and their direct sub-keys) and the values of the
+ * permissions and optional_permissions manifest keys, as defined by the manifest
+ * namespace of the given namespaces. The returned entries use the layout of the
+ * webextensions.manifest tree of BCD, for example manifest.browser_action or
+ * manifest.permissions.storage.
+ *
+ * @param {object[]} namespaces - Namespaces as returned by readSchemaFiles().
+ * @param {object[]} all_namespaces - Namespaces used to resolve $refs.
+ *
+ * @returns {Map<string, object>} Objects with the schema value and the origin
+ *   namespace of each entry, keyed by manifest entry.
+ */
+function collectManifestEntries(namespaces, all_namespaces = namespaces) {
+  const entries = new Map();
+  const manifestObj = namespaces.find(n => n.namespace == "manifest");
+  if (!manifestObj?.types) {
+    return entries;
   }
 
-  if (fullPath) {
-    entries.set(fullPath, value);
-    if (VERBOSITY & 2) {
-      console.log(fullPath);
+  const resolveRef = value => {
+    if (!value?.$ref) {
+      return value;
     }
-  }
+    const found = findSchemaElement(value.$ref, "manifest", all_namespaces);
+    return found ? { ...found.value, ...value } : value;
+  };
 
-  const handleRef = value => {
-    const refId = value.$ref;
-    const parts = refId.split(".");
-    const id = parts.pop();
-    const requested_namespace = parts[0];
-    const current_namespace = fullPath.split(".")[0];
+  // Properties of an object, including properties of all its choices.
+  const getProperties = value => {
+    const resolved = resolveRef(value);
+    return [resolved, ...(resolved?.choices ?? []).map(resolveRef)].reduce(
+      (properties, e) => ({ ...properties, ...e?.properties }),
+      {}
+    );
+  };
 
-    // Search the specified namespace, the local namespace, the manifest namespace
-    // and then all other namespaces.
-    const searchNamespaces = [
-      requested_namespace,
-      current_namespace,
-      "manifest",
-      ...all_namespaces.map(n => n.namespace),
-    ];
-    for (const searchNamespace of searchNamespaces) {
-      const searchSchemas = all_namespaces.filter(
-        n => n.namespace == searchNamespace
-      );
-      for (const searchSchema of searchSchemas) {
-        const ref = getNestedIdOrNamespace(searchSchema, id);
-        if (ref) {
-          // Deep-clone the found ref to prevent circular dependencies.
-          return JSON.parse(JSON.stringify(ref));
+  // Enum values of a type, including enum values of all its choices.
+  const getEnumValues = value =>
+    [value, ...(value.choices ?? [])].flatMap(e => e.enum ?? []);
+
+  for (const type of manifestObj.types) {
+    const typeName = type.id ?? type.$extend;
+    const origin = type.$origin;
+
+    if (MANIFEST_KEY_TYPES.includes(typeName)) {
+      for (const [key, value] of Object.entries(type.properties ?? {})) {
+        entries.set(`manifest.${key}`, { value, origin });
+        for (const [subKey, subValue] of Object.entries(getProperties(value))) {
+          entries.set(`manifest.${key}.${subKey}`, { value: subValue, origin });
         }
       }
     }
-    console.log(`Warning: Missing requested $ref: ${id} (${refId})`);
-    return null;
-  };
 
-  // Replace $refs, but ignore recursive usages.
-  if (value.$ref && !handledRefs.includes(value.$ref)) {
-    const ref = handleRef(value);
-    if (ref) {
-      handledRefs.push(value.$ref);
-      Object.assign(value, ref);
-      delete value.$ref;
-      delete value.id;
-    }
-  }
-
-  Object.keys(value).forEach(key => {
-    switch (key) {
-      case "choices":
-        collectNamespaceEntriesAndResolveRefs(
-          value[key],
-          entries,
-          all_namespaces,
-          key,
-          [...handledRefs],
-          fullPath
-        );
-        break;
-      default:
-        collectNamespaceEntriesAndResolveRefs(
-          value[key],
-          entries,
-          all_namespaces,
-          key,
-          [...handledRefs],
-          `${fullPath}.${key}`
-        );
+    for (const [key, typeNames] of Object.entries(MANIFEST_PERMISSION_TYPES)) {
+      if (!typeNames.includes(typeName)) {
+        continue;
+      }
+      for (const permission of getEnumValues(type)) {
+        entries.set(`manifest.${key}.${permission}`, {
+          value: permission,
+          origin,
+        });
+      }
     }
-  });
+  }
+  return entries;
 }
 
 /**
@@ -840,61 +2291,302 @@ function collectNamespaceEntriesAndResolveRefs(
  *
  * @param {any} obj - The value to process. Usually a schema JSON, but the
  *   function recursively calls itself on nested elements.
+ * @param {object[]} all_namespaces - The namespaces to look up the imported
+ *   elements.
+ * @param {string} namespace - The namespace of the processed value.
+ * @param {object[]} ambiguities - Receives the $imports, which could not be
+ *   resolved unambiguously.
  *
  * @returns {any} The processed value.
  */
-function _processImports(obj, all_namespaces) {
+function _processImports(obj, all_namespaces, namespace, ambiguities) {
   if (typeof obj !== "object") {
     return obj;
   }
 
   if (Array.isArray(obj)) {
-    return obj.map(v => _processImports(v, all_namespaces));
+    return obj.map(v =>
+      _processImports(v, all_namespaces, namespace, ambiguities)
+    );
   }
 
   if (obj.hasOwnProperty("$import")) {
-    // Assume imports are unique, ignore prepended namespace.
     const id = obj.$import;
-
-    // TODO: We skip ManifestBase for now.
-    if (id == "manifest.ManifestBase") {
-      return obj;
-    }
-
-    for (const searchSchema of all_namespaces) {
-      let imported = getNestedIdOrNamespace(searchSchema, id);
-      if (imported) {
-        // Do not import top level manifest limits.
-        imported = JSON.parse(JSON.stringify(imported));
-        delete imported.min_manifest_version;
-        delete imported.max_manifest_version;
-        // Do not import namespace name and id.
-        delete imported.namespace;
-        delete imported.id;
-        delete obj.$import;
-        return mergeObjects(obj, imported);
+    const found = findSchemaElement(id, namespace, all_namespaces);
+    if (found) {
+      if (found.ambiguous) {
+        ambiguities.push({
+          type: "$import",
+          path: `${namespace}.${obj.id ?? obj.$extend}`,
+          ref: id,
+          namespaces: found.ambiguous,
+        });
       }
+      // Do not import top level manifest limits.
+      const imported = JSON.parse(JSON.stringify(found.value));
+      delete imported.min_manifest_version;
+      delete imported.max_manifest_version;
+      // Do not import namespace name and id.
+      delete imported.namespace;
+      delete imported.id;
+      delete obj.$import;
+      return mergeObjects(obj, imported);
     }
     console.error(`Warning: Missing requested $import: ${id}`);
   }
 
   // Default.
   return Object.keys(obj).reduce((o, key) => {
-    o[key] = _processImports(obj[key], all_namespaces);
+    o[key] = _processImports(obj[key], all_namespaces, namespace, ambiguities);
     return o;
   }, {});
 }
 
 // -----------------------------------------------------------------------------
 
+/**
+ * Get the manifest versions in which a schema entry is available, considering
+ * the min_manifest_version and max_manifest_version values of the entry and of
+ * all its parents.
+ *
+ * @param {string} namespace_entry - The namespace entry of the schema entry.
+ * @param {Function} getEntry - Function returning the schema entry of a given
+ *   namespace entry.
+ *
+ * @returns {object} An object with the (optional) min and max manifest version.
+ */
+function getManifestVersionRange(namespace_entry, getEntry) {
+  const range = {};
+  const parts = namespace_entry.split(".");
+  for (let i = 1; i <= parts.length; i++) {
+    const value = getEntry(parts.slice(0, i).join("."));
+    if (value?.min_manifest_version) {
+      range.min = Math.max(range.min ?? 0, value.min_manifest_version);
+    }
+    if (value?.max_manifest_version) {
+      range.max = Math.min(range.max ?? Infinity, value.max_manifest_version);
+    }
+  }
+  return range;
+}
+
+/**
+ * Check if a schema entry is available in the requested manifest version.
+ * Always true, if no manifest version was requested.
+ *
+ * @param {string} namespace_entry - The namespace entry of the schema entry.
+ * @param {Function} getEntry - Function returning the schema entry of a given
+ *   namespace entry.
+ * @param {number} manifestVersion - The requested manifest version, or 0.
+ *
+ * @returns {boolean}
+ */
+function isAvailableInManifestVersion(
+  namespace_entry,
+  getEntry,
+  manifestVersion
+) {
+  if (!manifestVersion) {
+    return true;
+  }
+  const { min, max } = getManifestVersionRange(namespace_entry, getEntry);
+  return (!min || manifestVersion >= min) && (!max || manifestVersion <= max);
+}
+
+/**
+ * Get the BCD status object of a schema entry.
+ *
+ * @param {any} value - The schema entry.
+ *
+ * @returns {object|undefined} The status object, or undefined if the entry is
+ *   not deprecated.
+ */
+function getCompatStatus(value) {
+  if (!value?.deprecated) {
+    return undefined;
+  }
+  return { deprecated: true, experimental: false, standard_track: false };
+}
+
+/**
+ * Get the note for a deprecated schema entry. Only deprecation messages which
+ * mention a replacement are turned into notes.
+ *
+ * @param {any} value - The schema entry.
+ *
+ * @returns {string|undefined} The note, or undefined.
+ */
+function getDeprecationNote(value) {
+  const message = value?.deprecated;
+  if (
+    typeof message !== "string" ||
+    !/\b(use|instead|replaced by)\b/i.test(message)
+  ) {
+    return undefined;
+  }
+  return message.replace(/\$\(ref:([^)]+)\)/g, "<code>$1</code>");
+}
+
+/**
+ * Get the name of a sub-entry of an API member, as used in BCD, by stripping the
+ * group names and the choices branches from its namespace entry (for example
+ * returns.properties.subject becomes returns.subject).
+ *
+ * @param {string} namespace_entry - The namespace entry of the sub-entry.
+ *
+ * @returns {string}
+ */
+function getSubEntryName(namespace_entry) {
+  const parts = namespace_entry.split(".");
+  const names = [];
+  for (let i = 3; i < parts.length; i++) {
+    if (SINGLE_SUB_ENTRY_TYPES.includes(parts[i])) {
+      names.push(parts[i]);
+    } else if (NAMED_SUB_ENTRY_TYPES.includes(parts[i])) {
+      const name = parts[++i];
+      if (parts[i - 1] != "choices") {
+        names.push(name);
+      }
+    }
+  }
+  return names.join(".");
+}
+
+/**
+ * Find the top most unsupported sub-entries of the API members of a namespace.
+ *
+ * @param {Map<string, any>} entries - All entries of the namespace, see
+ *   collectNamespaceEntriesAndResolveRefs().
+ *
+ * @returns {Map<string, string[]>} The unsupported sub-entries, keyed by the
+ *   namespace entry of the API member they belong to.
+ */
+function getUnsupportedSubEntries(entries) {
+  const unsupported = new Set();
+  for (const [entry, value] of entries) {
+    if (value?.unsupported && entry.split(".").length > 3) {
+      unsupported.add(entry);
+    }
+  }
+
+  const subEntries = new Map();
+  for (const entry of unsupported) {
+    const parts = entry.split(".");
+    // Skip sub-entries of unsupported sub-entries.
+    const hasUnsupportedParent = parts
+      .slice(3, -1)
+      .some((e, i) => unsupported.has(parts.slice(0, i + 4).join(".")));
+    if (!hasUnsupportedParent) {
+      const member = parts.slice(0, 3).join(".");
+      subEntries.set(member, [...(subEntries.get(member) ?? []), entry]);
+    }
+  }
+  return subEntries;
+}
+
+// Get the notes for the manifest version limits of a schema entry.
+function getManifestVersionNotes(value) {
+  const notes = [];
+  if (value?.max_manifest_version == 2) {
+    notes.push("Available for use in Manifest V2 only.");
+  }
+  if (value?.min_manifest_version == 3) {
+    notes.push("Available for use in Manifest V3 or later.");
+  }
+  return notes;
+}
+
+/**
+ * Add notes to the Thunderbird support statement of a supported entry, whose
+ * compat data has been copied from BCD. Only namespaces, API members and
+ * manifest entries are handled, their notation does not vary.
+ *
+ * @param {object} tcd - The Thunderbird compat data.
+ * @param {string} namespace_entry - The namespace entry of the schema entry.
+ * @param {string[]} notes - The notes to add.
+ */
+function addCompatNotes(tcd, namespace_entry, notes) {
+  const [namespace, ...parts] = namespace_entry.split(".");
+  let entry;
+  if (namespace == "manifest") {
+    entry = parts.reduce((e, part) => e?.[part], tcd.webextensions.manifest);
+  } else if (parts.length == 0) {
+    entry = tcd.webextensions.api[namespace];
+  } else if (
+    parts.length == 2 &&
+    ["functions", "events", "properties", "types"].includes(parts[0])
+  ) {
+    entry = tcd.webextensions.api[namespace]?.[parts[1]];
+  }
+
+  const support = entry?.__compat?.support?.thunderbird;
+  if (!notes.length || !support?.version_added || Array.isArray(support)) {
+    return;
+  }
+  const allNotes = [support.notes ?? [], notes].flat();
+  support.notes = allNotes.length == 1 ? allNotes[0] : allNotes;
+}
+
+/**
+ * Get the support statement members of a schema entry, which go beyond its
+ * version_added value: partial_implementation (if sub-entries are unsupported)
+ * and notes (for unsupported sub-entries, manifest version limits and
+ * deprecation messages).
+ *
+ * @param {string} namespace_entry - The namespace entry of the schema entry.
+ * @param {any} value - The schema entry.
+ * @param {Map<string, string[]>} [unsupportedSubEntries] - The unsupported
+ *   sub-entries of the API members of the namespace, see
+ *   getUnsupportedSubEntries().
+ *
+ * @returns {object} The additional support statement members.
+ */
+function getAdditionalCompatData(
+  namespace_entry,
+  value,
+  unsupportedSubEntries
+) {
+  const compatData = {};
+  const notes = [];
+
+  // Only check sub-entries of API members (functions, events, properties and
+  // types), whose compat data is reported on the member itself.
+  if (unsupportedSubEntries && !value.unsupported) {
+    const unsupported = unsupportedSubEntries.get(namespace_entry) ?? [];
+    for (const entry of unsupported) {
+      const name = getSubEntryName(entry);
+      notes.push(`<code>${name}</code> is not supported.`);
+    }
+    if (unsupported.length) {
+      compatData.partial_implementation = true;
+    }
+  }
+
+  notes.push(...getManifestVersionNotes(value));
+
+  const deprecationNote = getDeprecationNote(value);
+  if (deprecationNote) {
+    notes.push(deprecationNote);
+  }
+
+  if (notes.length) {
+    compatData.notes = notes.length == 1 ? notes[0] : notes;
+  }
+  return compatData;
+}
+
 function updateCompatData(
   tcd,
   namespace_entry,
   compatEntry,
   logEntries,
-  skipFlatPropsCheck = false
+  skipFlatPropsCheck = false,
+  status,
+  config = {}
 ) {
-  const expected = compatEntry.version_added;
+  const { version_added: expected, ...additionalData } = compatEntry;
+  const { confirmed_flat_props = [], known_false_positive_flat_props = [] } =
+    config;
   const parts = namespace_entry.split(".");
   const [namespace, entryType, entryName] = parts;
   const curr_namespace_parts = [];
@@ -906,12 +2598,21 @@ function updateCompatData(
     return {
       __compat: {
         support: {
-          thunderbird: compatEntry,
+          thunderbird: { version_added: expected },
         },
       },
     };
   };
 
+  // Add the additional compat data of the processed entry, which should not be
+  // added to intermediate entries.
+  const finalizeEntry = compat => {
+    Object.assign(compat.support.thunderbird, additionalData);
+    if (status) {
+      compat.status = status;
+    }
+  };
+
   const detectNotation = (
     entry,
     itemName,
@@ -966,7 +2667,7 @@ function updateCompatData(
 
       // Detect flat notation for the specified element.
       if (
-        CONFIRMED_FLAT_PROPS.some(
+        confirmed_flat_props.some(
           e =>
             curr_namespace_entry.split(".").length == e.split(".").length &&
             curr_namespace_entry.startsWith(e)
@@ -992,7 +2693,7 @@ function updateCompatData(
             );
           }
           if (
-            !KNOWN_FALSE_POSITIVE_FLAT_PROPS.some(e =>
+            !known_false_positive_flat_props.some(e =>
               curr_namespace_entry.startsWith(e)
             )
           ) {
@@ -1027,6 +2728,7 @@ function updateCompatData(
           console.log(`  replacing: ${namespace_entry}`);
         }
         entry[itemName] = newEntry();
+        finalizeEntry(entry[itemName].__compat);
         return false;
       }
       if (entry[itemName]) {
@@ -1064,12 +2766,26 @@ function updateCompatData(
         console.log(`  forcing to true: ${expected} : ${curr_namespace_entry}`);
       }
       entry[itemName].__compat.support.thunderbird.version_added = expected;
+    } else if (
+      typeof expected === "string" &&
+      curr_namespace_entry == namespace_entry &&
+      entry[itemName].__compat.support.thunderbird.version_added !== expected
+    ) {
+      // Replace the version copied from BCD by the version found in the schema
+      // history.
+      if (VERBOSITY & 4) {
+        console.log(
+          `  updating version: ${expected} : ${curr_namespace_entry}`
+        );
+      }
+      entry[itemName].__compat.support.thunderbird.version_added = expected;
     }
 
     if (curr_namespace_entry == namespace_entry) {
       if (VERBOSITY & 4) {
         console.log(`  finished: ${namespace_entry}`);
       }
+      finalizeEntry(entry[itemName].__compat);
       return false;
     }
 
@@ -1083,7 +2799,15 @@ function updateCompatData(
     }
 
     if (namespace == "manifest") {
-      // TODO: Handle manifest entries.
+      // Manifest entries are always using the nesting notation.
+      let entry = tcd.webextensions.manifest;
+      for (const part of parts.slice(1)) {
+        curr_namespace_parts.push(part);
+        if (!handleEntry(entry, part)) {
+          return;
+        }
+        entry = entry[part];
+      }
       return;
     }
     if (!handleEntry(tcd.webextensions.api, namespace)) {
@@ -1124,12 +2848,21 @@ function updateCompatData(
     let parentEntryName = namespace;
     let parent = tcd.webextensions.api[parentEntryName];
     let entry = parent[entryName];
-    for (let i = 3; i < parts.length; i += 2) {
+    for (let i = 3; i < parts.length;) {
       // Process a sub-entry of the current entry.
-      const subEntryType = parts[i];
-      const subEntryName = parts[i + 1];
+      const subEntryType = parts[i++];
+      if (TRANSPARENT_SUB_ENTRY_TYPES.includes(subEntryType)) {
+        // The sub-entries of this group belong to the current entry.
+        curr_namespace_parts.push(subEntryType);
+        continue;
+      }
+      const subEntryName = SINGLE_SUB_ENTRY_TYPES.includes(subEntryType)
+        ? subEntryType
+        : parts[i++];
       curr_namespace_parts.push(subEntryType);
-      curr_namespace_parts.push(subEntryName);
+      if (subEntryName != subEntryType) {
+        curr_namespace_parts.push(subEntryName);
+      }
       if (VERBOSITY & 4) {
         console.log(`  next ${curr_namespace_parts.join(" ")}`);
       }
@@ -1141,13 +2874,24 @@ function updateCompatData(
         }
         return;
       }
-      if (!["properties", "parameters", "enum"].includes(subEntryType)) {
+      if (
+        !NAMED_SUB_ENTRY_TYPES.includes(subEntryType) &&
+        !SINGLE_SUB_ENTRY_TYPES.includes(subEntryType)
+      ) {
         // No further processing, but break to reach the final log statement.
         if (VERBOSITY & 4) {
           console.log(`  finished (ignore group: ${subEntryType})`);
         }
         break;
       }
+      if (subEntryType == "choices") {
+        // The sub-entries of a choices branch belong to the current entry, the
+        // branch itself does not have an entry.
+        if (i < parts.length) {
+          continue;
+        }
+        break;
+      }
 
       const { processEntry, processKey } = detectNotation(
         entry,
@@ -1175,3 +2919,17 @@ function updateCompatData(
     }
   }
 }
+
+module.exports = {
+  cloneBrowserCompatData,
+  collectNamespaceEntriesAndResolveRefs,
+  generate,
+  getAdditionalCompatData,
+  getThunderbirdVersion,
+  getUnsupportedSubEntries,
+  overrideBrowserCompatData,
+  processImports,
+  reduceBrowserCompatData,
+  updateCompatData,
+  writeCompatData,
+};
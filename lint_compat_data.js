@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Lint a generated compat dataset for contradicting Thunderbird support data.
+ *
+ * Reported issues:
+ *  - supported_in_unsupported_parent: supported entries of an unsupported parent
+ *  - supported_before_parent: entries which have been added in an earlier
+ *    version than their parent
+ *  - mixed_notation: parameters which use more than one of the notations for
+ *    parameter properties (nested, <paramName>_<propertyName>_parameter and
+ *    <propertyName>_value)
+ *  - removed_in_firefox: entries which are supported by Thunderbird, but have
+ *    been removed from Firefox
+ */
+
+const fs = require("fs-extra");
+const yargs = require("yargs");
+
+const HELP_SCREEN = `
+Usage:
+
+    node lint_compat_data.js <options>
+
+Required options:
+   --data=path              - Path to the generated JSON file (for example
+                              thunderbird_mailextensions.json).
+
+Optional options:
+   --json                   - Print the found issues as JSON.
+
+The command exits with a non-zero exit code, if issues have been found.
+
+`;
+
+if (require.main === module) {
+  const args = yargs.argv;
+  if (!args.data) {
+    console.log(HELP_SCREEN);
+  } else {
+    const json = JSON.parse(fs.readFileSync(args.data, "utf-8"));
+    const issues = lintCompatData(json.webextensions, "webextensions");
+    if (args.json) {
+      console.log(JSON.stringify(issues, null, 2));
+    } else {
+      issues.forEach(e => console.log(`${e.path}: ${e.message}`));
+      console.log(`Found ${issues.length} issue(s) in ${args.data}`);
+    }
+    if (issues.length) {
+      process.exitCode = 1;
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+
+// Get the current support statement of the given browser.
+function getSupport(entry, browser) {
+  return [entry?.__compat?.support?.[browser] ?? []].flat()[0];
+}
+
+// Convert a version string like "115" or "≤115" into a number.
+function parseVersion(version) {
+  return parseFloat(`${version}`.replace("≤", ""));
+}
+
+/**
+ * Find parameters which use more than one notation for their properties.
+ *
+ * @param {object} entry - An entry of the compat tree.
+ *
+ * @returns {string[]} The names of the affected child entries.
+ */
+function getMixedNotations(entry) {
+  const keys = Object.keys(entry).filter(e => e != "__compat");
+  const mixed = new Set();
+  const hasValueNotation = keys.some(e => e.endsWith("_value"));
+  for (const key of keys) {
+    const match = key.match(/^(.+?)_(.+)_parameter$/);
+    if (!match) {
+      continue;
+    }
+    const [, paramName, propertyName] = match;
+    if (hasValueNotation || entry[paramName]?.[propertyName]) {
+      mixed.add(paramName);
+    }
+  }
+  return [...mixed];
+}
+
+/**
+ * Lint a compat tree.
+ *
+ * @param {object} tree - The compat tree, for example the webextensions tree
+ *   of a generated dataset.
+ * @param {string} [path] - The path of the compat tree, used in the reported
+ *   issues.
+ *
+ * @returns {object[]} The found issues, each with the path of the affected
+ *   entry, a type and a message.
+ */
+function lintCompatData(tree, path = "", issues = [], parent) {
+  const support = getSupport(tree, "thunderbird");
+  const parentSupport = getSupport(parent, "thunderbird");
+  const addIssue = (type, message) => issues.push({ path, type, message });
+
+  if (support && parentSupport) {
+    const { version_added } = support;
+    const parentVersion = parentSupport.version_added;
+    if (version_added && parentVersion === false) {
+      addIssue(
+        "supported_in_unsupported_parent",
+        `supported (${version_added}), but the parent is not supported`
+      );
+    } else if (
+      typeof version_added === "string" &&
+      typeof parentVersion === "string" &&
+      parseVersion(version_added) < parseVersion(parentVersion)
+    ) {
+      addIssue(
+        "supported_before_parent",
+        `added in ${version_added}, but the parent was added in ${parentVersion}`
+      );
+    }
+  }
+
+  const firefoxSupport = getSupport(tree, "firefox");
+  if (
+    support?.version_added &&
+    !support.version_removed &&
+    firefoxSupport?.version_removed
+  ) {
+    addIssue(
+      "removed_in_firefox",
+      `supported, but removed from Firefox ${firefoxSupport.version_removed}`
+    );
+  }
+
+  for (const paramName of getMixedNotations(tree)) {
+    issues.push({
+      path: `${path}.${paramName}`,
+      type: "mixed_notation",
+      message: "properties use mixed notations",
+    });
+  }
+
+  for (const [key, value] of Object.entries(tree)) {
+    if (key != "__compat" && typeof value === "object" && value) {
+      // Compare with the nearest parent which has compat data.
+      lintCompatData(
+        value,
+        path ? `${path}.${key}` : key,
+        issues,
+        tree.__compat ? tree : parent
+      );
+    }
+  }
+  return issues;
+}
+
+module.exports = { lintCompatData };
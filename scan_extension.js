@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Scan an extension for APIs, manifest keys and permissions which are not
+ * supported by Thunderbird, or which require a newer Thunderbird version than
+ * the strict_min_version specified in its manifest, and for APIs which require
+ * permissions not requested by its manifest.
+ *
+ * Note: The JavaScript files are scanned for direct member accesses of the
+ * browser, messenger and chrome objects (for example messenger.messages.query).
+ * Comments and string literals are skipped. Aliased or destructured API objects
+ * are not detected. Manifest keys and permissions which are not included in the
+ * compat data are not reported as unknown.
+ */
+
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const yargs = require("yargs");
+const jsonUtils = require("comment-json");
+const extract = require("extract-zip");
+const {
+  getPermissions,
+  isSupported,
+  resolveCompat,
+} = require("./thunderbird_compat_query.js");
+
+const API_ACCESS_REGEX =
+  /(?<![\w$.])(?:browser|messenger|chrome)((?:\.[A-Za-z_$][\w$]*)+)/g;
+const COMMENT_REGEX = /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y;
+const STRING_REGEX = /"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?/y;
+// The rest of a template literal, up to its end or its next substitution.
+const TEMPLATE_REGEX = /(?:\\[\s\S]|[^\\`$]|\$(?!\{))*(?:`|\$\{|$)/y;
+const LISTENER_FUNCTIONS = ["addListener", "removeListener", "hasListener"];
+const SCRIPT_EXTENSIONS = [".js", ".mjs"];
+
+const HELP_SCREEN = `
+Usage:
+
+    node scan_extension.js <options>
+
+Required options:
+   --extension=path         - Path to an unpacked extension, or to an XPI file.
+
+Optional options:
+   --json                   - Print the found issues as JSON.
+
+The command exits with a non-zero exit code, if issues have been found.
+
+`;
+
+if (require.main === module) {
+  const args = yargs.argv;
+  if (!args.extension) {
+    console.log(HELP_SCREEN);
+  } else {
+    main(args).catch(err => {
+      console.error(err);
+      process.exitCode = 2;
+    });
+  }
+}
+
+// -----------------------------------------------------------------------------
+
+async function main(args) {
+  if (!require("./thunderbird_mailextensions.json").permissions) {
+    console.error(
+      "Warning: The compat data does not include the permissions of the APIs, missing permissions are not reported"
+    );
+  }
+  const issues = await scanExtension(args.extension);
+  if (args.json) {
+    console.log(JSON.stringify(issues, null, 2));
+  } else {
+    for (const issue of issues) {
+      console.log(formatIssue(issue));
+    }
+    console.log(`Found ${issues.length} issue(s).`);
+  }
+  if (issues.length) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Scan an extension.
+ *
+ * @param {string} extensionPath - Path to an unpacked extension, or to an XPI
+ *   file.
+ *
+ * @returns {object[]} The found issues, each with the file, line (for scripts),
+ *   api (the used API or manifest entry), type (unknown, unsupported, version
+ *   or permission), version_added (for the version type) and permissions (the
+ *   missing permissions, for the permission type).
+ */
+async function scanExtension(extensionPath) {
+  if (fs.statSync(extensionPath).isDirectory()) {
+    return scanDirectory(extensionPath);
+  }
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan_extension-"));
+  try {
+    await extract(extensionPath, { dir: path.resolve(tmpDir) });
+    return scanDirectory(tmpDir);
+  } finally {
+    fs.removeSync(tmpDir);
+  }
+}
+
+function scanDirectory(dir) {
+  const manifest = jsonUtils.parse(
+    fs.readFileSync(path.join(dir, "manifest.json"), "utf-8")
+  );
+  const gecko =
+    manifest.browser_specific_settings?.gecko ?? manifest.applications?.gecko;
+  const minVersion = gecko?.strict_min_version;
+
+  const issues = [];
+  const check = (api, file, line) => {
+    const issue = checkCompat(api, minVersion);
+    if (issue) {
+      issues.push({ file, line, api, ...issue });
+    }
+  };
+
+  for (const entry of getManifestEntries(manifest)) {
+    // The compat data does not cover all manifest keys and permissions (for
+    // example Thunderbird's own manifest keys, if the data was generated without
+    // them), unknown manifest entries are therefore not reported.
+    const issue = checkCompat(entry, minVersion);
+    if (issue && issue.type != "unknown") {
+      issues.push({ file: "manifest.json", api: entry, ...issue });
+    }
+  }
+  const requestedPermissions = [
+    ...(manifest.permissions ?? []),
+    ...(manifest.optional_permissions ?? []),
+  ];
+  const missingPermissions = api =>
+    getPermissions(api).filter(permission =>
+      permission.startsWith("manifest:")
+        ? !(permission.slice("manifest:".length) in manifest)
+        : !requestedPermissions.includes(permission)
+    );
+
+  for (const file of getScriptFiles(dir)) {
+    const lines = stripCommentsAndStrings(fs.readFileSync(file, "utf-8")).split(
+      "\n"
+    );
+    lines.forEach((content, i) => {
+      for (const api of getApiAccesses(content)) {
+        check(api, path.relative(dir, file), i + 1);
+        const permissions = missingPermissions(api);
+        if (permissions.length) {
+          issues.push({
+            file: path.relative(dir, file),
+            line: i + 1,
+            api,
+            type: "permission",
+            permissions,
+          });
+        }
+      }
+    });
+  }
+  return issues;
+}
+
+/**
+ * Check the compat data of an API or manifest entry.
+ *
+ * @param {string} api - Path in BCD notation, for example api.messages.query or
+ *   manifest.permissions.tabs.
+ * @param {string} [minVersion] - The strict_min_version of the extension.
+ *
+ * @returns {object|undefined} The issue, or undefined if the entry is supported.
+ */
+function checkCompat(api, minVersion) {
+  const resolved = resolveCompat(api);
+  if (!resolved) {
+    return { type: "unknown" };
+  }
+  if (!isSupported(api)) {
+    return { type: "unsupported" };
+  }
+  if (minVersion && !isSupported(api, minVersion)) {
+    const support = [resolved.compat.support.thunderbird].flat()[0];
+    return { type: "version", version_added: support.version_added };
+  }
+  return undefined;
+}
+
+// Get the used manifest keys (and their direct sub-keys) and permissions.
+function getManifestEntries(manifest) {
+  const entries = [];
+  for (const [key, value] of Object.entries(manifest)) {
+    entries.push(`manifest.${key}`);
+    if (["permissions", "optional_permissions"].includes(key)) {
+      for (const permission of value) {
+        // Skip host permissions.
+        if (!permission.includes(":") && permission != "<all_urls>") {
+          entries.push(`manifest.${key}.${permission}`);
+        }
+      }
+    } else if (typeof value == "object" && !Array.isArray(value)) {
+      for (const subKey of Object.keys(value)) {
+        entries.push(`manifest.${key}.${subKey}`);
+      }
+    }
+  }
+  return entries;
+}
+
+function getScriptFiles(dir) {
+  const files = [];
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    const itemPath = path.join(dir, item.name);
+    if (item.isDirectory()) {
+      if (item.name != "node_modules") {
+        files.push(...getScriptFiles(itemPath));
+      }
+    } else if (SCRIPT_EXTENSIONS.includes(path.extname(item.name))) {
+      files.push(itemPath);
+    }
+  }
+  return files;
+}
+
+// Replace the comments and string literals of JavaScript code by spaces, keeping
+// the line breaks. The substitutions of template literals are kept. Regular
+// expression literals are not detected.
+function stripCommentsAndStrings(source) {
+  let result = "";
+  // The brace depths at which the open template literal substitutions end.
+  const substitutions = [];
+  let depth = 0;
+  let i = 0;
+  const skip = regex => {
+    regex.lastIndex = i;
+    const [match] = regex.exec(source);
+    result += match.replace(/[^\n]/g, " ");
+    i += match.length;
+    return match;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char == "/" && ["/", "*"].includes(source[i + 1])) {
+      skip(COMMENT_REGEX);
+    } else if (char == '"' || char == "'") {
+      skip(STRING_REGEX);
+    } else if (char == "`" || (char == "}" && substitutions.at(-1) === depth)) {
+      if (char == "}") {
+        substitutions.pop();
+      }
+      result += " ";
+      i++;
+      if (skip(TEMPLATE_REGEX).endsWith("${")) {
+        substitutions.push(depth);
+      }
+    } else {
+      if (char == "{") {
+        depth++;
+      } else if (char == "}") {
+        depth--;
+      }
+      result += char;
+      i++;
+    }
+  }
+  return result;
+}
+
+// Get the APIs accessed in a line of JavaScript code, in BCD notation.
+function getApiAccesses(content) {
+  const accesses = new Set();
+  for (const [, members] of content.matchAll(API_ACCESS_REGEX)) {
+    const parts = members.slice(1).split(".");
+    if (LISTENER_FUNCTIONS.includes(parts.at(-1))) {
+      parts.pop();
+    }
+    accesses.add(`api.${parts.join(".")}`);
+  }
+  return accesses;
+}
+
+function formatIssue({ file, line, api, type, version_added, permissions }) {
+  const location = line ? `${file}:${line}` : file;
+  switch (type) {
+    case "unknown":
+      return `${location}: ${api} is unknown`;
+    case "unsupported":
+      return `${location}: ${api} is not supported`;
+    case "version":
+      return `${location}: ${api} requires Thunderbird ${version_added}`;
+    case "permission":
+      return `${location}: ${api} requires the ${permissions.join(
+        ", "
+      )} permission(s)`;
+  }
+  return `${location}: ${api}`;
+}
+
+module.exports = { scanExtension };
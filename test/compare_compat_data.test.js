@@ -0,0 +1,54 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+  compareCompatData,
+  formatMarkdown,
+} = require("../compare_compat_data.js");
+const { thunderbirdCompat } = require("./helpers.js");
+
+test("reports added, removed, flipped and changed entries", () => {
+  const oldTree = {
+    api: {
+      tabs: thunderbirdCompat("68", {
+        create: thunderbirdCompat("68"),
+        query: thunderbirdCompat("78"),
+        remove: thunderbirdCompat(false),
+      }),
+    },
+  };
+  const newTree = {
+    api: {
+      tabs: thunderbirdCompat("68", {
+        create: thunderbirdCompat("78"),
+        remove: thunderbirdCompat("115"),
+        update: thunderbirdCompat("91"),
+      }),
+    },
+  };
+  assert.deepEqual(compareCompatData(oldTree, newTree), {
+    "api.tabs": {
+      version_changed: [{ path: "api.tabs.create", from: "68", to: "78" }],
+      removed: [{ path: "api.tabs.query", version_added: "78" }],
+      flipped: [{ path: "api.tabs.remove", from: false, to: "115" }],
+      added: [{ path: "api.tabs.update", version_added: "91" }],
+    },
+  });
+});
+
+test("does not report minimized entries", () => {
+  // The query entry has been removed during minimization, it still has the
+  // compat data of its parent.
+  const oldTree = {
+    api: { tabs: thunderbirdCompat("68", { query: thunderbirdCompat("68") }) },
+  };
+  const newTree = { api: { tabs: thunderbirdCompat("68") } };
+  assert.deepEqual(compareCompatData(oldTree, newTree), {});
+  assert.equal(formatMarkdown({}), "No changes.\n");
+});
@@ -0,0 +1,902 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Regression tests for the generator. The fixture schema files and the mini
+ * BCD tree in ./fixtures cover the four notations for parameter properties,
+ * $import and recursive $ref handling, unsupported namespaces and minimization.
+ *
+ * Run UPDATE_EXPECTED=1 npm test to update the expected output after an
+ * intended change of the generated data.
+ */
+
+const assert = require("node:assert/strict");
+const { execFileSync, spawnSync } = require("node:child_process");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+const fs = require("fs-extra");
+
+const {
+  cloneBrowserCompatData,
+  collectNamespaceEntriesAndResolveRefs,
+  generate: generateCompatData,
+  getAdditionalCompatData,
+  getThunderbirdVersion,
+  getUnsupportedSubEntries,
+  overrideBrowserCompatData,
+  processImports,
+  reduceBrowserCompatData,
+  updateCompatData,
+} = require("../generate_compat_data.js");
+const { compat, thunderbirdCompat } = require("./helpers.js");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const GENERATOR = path.join(__dirname, "..", "generate_compat_data.js");
+const EXPECTED = path.join(
+  FIXTURES,
+  "expected",
+  "thunderbird_mailextensions.json"
+);
+
+// Run the generator on the fixtures and return the generated data.
+function generate(...options) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "compat-data-test-"));
+  try {
+    execFileSync(
+      process.execPath,
+      [
+        GENERATOR,
+        `--bcd=${path.join(FIXTURES, "bcd.json")}`,
+        `--config=${path.join(FIXTURES, "generator_config.json")}`,
+        `--override=${path.join(FIXTURES, "override.json")}`,
+        ...options,
+      ],
+      { cwd: tmpDir, stdio: "pipe" }
+    );
+    return fs.readJsonSync(
+      path.join(tmpDir, "thunderbird_mailextensions.json")
+    );
+  } finally {
+    fs.removeSync(tmpDir);
+  }
+}
+
+function getThunderbirdSupport(entry) {
+  return entry?.__compat?.support?.thunderbird;
+}
+
+test("generates the expected data from the fixture schema files", () => {
+  const generated = generate(`--source=${path.join(FIXTURES, "source")}`);
+  if (process.env.UPDATE_EXPECTED) {
+    fs.outputFileSync(EXPECTED, JSON.stringify(generated, null, 4));
+  }
+  assert.deepEqual(generated, fs.readJsonSync(EXPECTED));
+});
+
+test("generates the same data from a schema snapshot", () => {
+  const snapshot = path.join(os.tmpdir(), `compat-data-test-${process.pid}`);
+  try {
+    const generated = generate(
+      `--source=${path.join(FIXTURES, "source")}`,
+      `--write-snapshot=${snapshot}`
+    );
+    assert.deepEqual(generate(`--snapshot=${snapshot}`), generated);
+  } finally {
+    fs.removeSync(snapshot);
+  }
+});
+
+test("generates the same data using the library API", async () => {
+  const result = await generateCompatData({
+    source: path.join(FIXTURES, "source"),
+    bcd: path.join(FIXTURES, "bcd.json"),
+    override: fs.readJsonSync(path.join(FIXTURES, "override.json")),
+    config: path.join(FIXTURES, "generator_config.json"),
+  });
+  assert.deepEqual(result.errors, []);
+  assert.ok(result.override.modified.api.runtime.getManifest);
+  assert.deepEqual(
+    { webextensions: result.webextensions, permissions: result.permissions },
+    fs.readJsonSync(EXPECTED)
+  );
+});
+
+// Pack the schema files of the fixture source into an omni.ja archive, using the
+// folder layout of an installation.
+function packOmniArchive(archive, schemaFolder, omniSchemaPath) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "compat-data-test-"));
+  try {
+    fs.copySync(
+      path.join(FIXTURES, "source", schemaFolder),
+      path.join(tmpDir, omniSchemaPath)
+    );
+    fs.ensureDirSync(path.dirname(archive));
+    execFileSync("zip", ["-qr", archive, "chrome"], { cwd: tmpDir });
+  } finally {
+    fs.removeSync(tmpDir);
+  }
+}
+
+test(
+  "generates the same data from the omni.ja archives of an installation",
+  { skip: spawnSync("zip", ["-v"]).error && "zip is not available" },
+  async () => {
+    const installations = fs.mkdtempSync(
+      path.join(os.tmpdir(), "compat-data-test-")
+    );
+    const thunderbird = path.join(installations, "thunderbird");
+    const firefox = path.join(installations, "firefox");
+    const getExtractedFolders = () =>
+      fs
+        .readdirSync(os.tmpdir())
+        .filter(e => e.startsWith("generate_compat_data-"));
+    try {
+      packOmniArchive(
+        path.join(thunderbird, "omni.ja"),
+        "toolkit/components/extensions/schemas",
+        "chrome/toolkit/content/extensions/schemas"
+      );
+      packOmniArchive(
+        path.join(thunderbird, "browser", "omni.ja"),
+        "comm/mail/components/extensions/schemas",
+        "chrome/messenger/content/messenger/schemas"
+      );
+      packOmniArchive(
+        path.join(firefox, "browser", "omni.ja"),
+        "browser/components/extensions/schemas",
+        "chrome/browser/content/browser/schemas"
+      );
+      fs.writeFileSync(
+        path.join(thunderbird, "application.ini"),
+        "[App]\nVersion=128.0\n"
+      );
+
+      const extractedFolders = getExtractedFolders();
+      const options = {
+        bcd: path.join(FIXTURES, "bcd.json"),
+        override: fs.readJsonSync(path.join(FIXTURES, "override.json")),
+        config: path.join(FIXTURES, "generator_config.json"),
+      };
+      const result = await generateCompatData({
+        ...options,
+        omni: thunderbird,
+        firefoxOmni: firefox,
+      });
+      assert.deepEqual(
+        {
+          webextensions: result.webextensions,
+          permissions: result.permissions,
+        },
+        fs.readJsonSync(EXPECTED)
+      );
+      // The extracted archives are removed, also if an archive is missing.
+      assert.deepEqual(getExtractedFolders(), extractedFolders);
+      await assert.rejects(
+        generateCompatData({
+          ...options,
+          omni: thunderbird,
+          firefoxOmni: installations,
+        }),
+        {
+          message: `Missing omni.ja archive: ${path.join(
+            installations,
+            "browser",
+            "omni.ja"
+          )}`,
+        }
+      );
+      assert.deepEqual(getExtractedFolders(), extractedFolders);
+    } finally {
+      fs.removeSync(installations);
+    }
+  }
+);
+
+test("generates the data for the requested manifest version", async () => {
+  const result = await generateCompatData({
+    source: path.join(FIXTURES, "source"),
+    bcd: path.join(FIXTURES, "bcd.json"),
+    config: {
+      skip_toolkit_schemas: ["test.json"],
+      reimplemented_browser_namespaces: ["tabs"],
+      unsupported_toolkit_namespaces: ["pageAction"],
+      reimplemented_toolkit_namespaces: ["browserAction"],
+    },
+    manifestVersion: 3,
+  });
+  // The browserAction namespace is only available in Manifest V2.
+  assert.equal(
+    getThunderbirdSupport(result.webextensions.api.browserAction).version_added,
+    false
+  );
+});
+
+test("derives the versions of Thunderbird's own entries from the history", async () => {
+  // An older release, which provided an additional function, but not the query
+  // function.
+  const history = fs.mkdtempSync(path.join(os.tmpdir(), "compat-data-test-"));
+  try {
+    fs.copySync(path.join(FIXTURES, "source"), history);
+    const schema = path.join(
+      history,
+      "comm/mail/components/extensions/schemas/messages.json"
+    );
+    fs.writeFileSync(
+      schema,
+      fs
+        .readFileSync(schema, "utf-8")
+        .replace('"name": "query",', '"name": "oldFunction",')
+    );
+    const result = await generateCompatData({
+      source: path.join(FIXTURES, "source"),
+      bcd: path.join(FIXTURES, "bcd.json"),
+      config: path.join(FIXTURES, "generator_config.json"),
+      history: `115:${history}`,
+    });
+    const { messages } = result.webextensions.api;
+    assert.equal(getThunderbirdSupport(messages.archive).version_added, "115");
+    // Only available in the version of the current source.
+    assert.equal(getThunderbirdSupport(messages.query).version_added, "128");
+    // Removed in the version of the current source.
+    assert.deepEqual(getThunderbirdSupport(messages.oldFunction), {
+      version_added: "115",
+      version_removed: "128",
+    });
+  } finally {
+    fs.removeSync(history);
+  }
+});
+
+test("collects the permissions of re-implemented namespaces", async () => {
+  const result = await generateCompatData({
+    source: path.join(FIXTURES, "source"),
+    bcd: path.join(FIXTURES, "bcd.json"),
+    config: path.join(FIXTURES, "generator_config.json"),
+    includeMailExtensions: false,
+  });
+  assert.deepEqual(result.permissions.browserAction, [
+    "manifest:browser_action",
+  ]);
+  // Thunderbird's own namespaces are not included.
+  assert.equal(result.permissions.messages, undefined);
+});
+
+test("marks deprecated members of re-implemented namespaces", async () => {
+  for (const includeMailExtensions of [true, false]) {
+    const result = await generateCompatData({
+      source: path.join(FIXTURES, "source"),
+      bcd: path.join(FIXTURES, "bcd.json"),
+      config: path.join(FIXTURES, "generator_config.json"),
+      includeMailExtensions,
+    });
+    const { getBadgeBackgroundColor } = result.webextensions.api.browserAction;
+    assert.equal(getBadgeBackgroundColor.__compat.status.deprecated, true);
+  }
+});
+
+test("reports a missing browser-compat-data path", async () => {
+  const bcd = path.join(FIXTURES, "missing.json");
+  await assert.rejects(
+    generateCompatData({ source: path.join(FIXTURES, "source"), bcd }),
+    { message: `Not a browser-compat-data checkout or data.json file: ${bcd}` }
+  );
+
+  // The command line reports the error without a stack trace.
+  const { status, stderr } = spawnSync(
+    process.execPath,
+    [GENERATOR, `--source=${path.join(FIXTURES, "source")}`, `--bcd=${bcd}`],
+    { encoding: "utf-8" }
+  );
+  assert.equal(status, 1);
+  assert.equal(
+    stderr,
+    `Error: Not a browser-compat-data checkout or data.json file: ${bcd}\n`
+  );
+});
+
+test("reports invalid, redundant and expired overrides", async () => {
+  const result = await generateCompatData({
+    source: path.join(FIXTURES, "source"),
+    bcd: path.join(FIXTURES, "bcd.json"),
+    config: path.join(FIXTURES, "generator_config.json"),
+    override: {
+      webextensions: {
+        api: {
+          runtime: {
+            getManifest: {
+              __override: { reason: "Fixture reason.", until: "115" },
+              ...thunderbirdCompat("68"),
+            },
+            unknownFunction: thunderbirdCompat(false),
+          },
+          tabs: {
+            __override: { reason: "Fixture reason.", author: "Fixture" },
+            create: { __compat: { support: { thunderbird: {} } } },
+          },
+        },
+      },
+    },
+  });
+  assert.deepEqual(result.override.issues, [
+    'Redundant override, not applied to generated data {"version_added":"68"}: webextensions.api.runtime.getManifest',
+    "Unknown API path: webextensions.api.runtime.unknownFunction",
+    "Invalid override: webextensions.api.tabs.create (__compat.support.thunderbird missing version_added)",
+  ]);
+  // The fixture source is Thunderbird 128.
+  assert.deepEqual(result.override.annotationIssues, [
+    "Expired override, should be re-checked (until 115) [Fixture reason.]: webextensions.api.runtime.getManifest",
+    "Invalid override annotation: webextensions.api.tabs (unknown member author)",
+  ]);
+});
+
+test("maps Firefox versions to Thunderbird versions", () => {
+  for (const [firefox, thunderbird] of [
+    [true, true],
+    [false, false],
+    ["preview", false],
+    ["45", "68"],
+    ["≤50", "≤68"],
+    ["70", "78"],
+    ["≤100", "≤102"],
+    ["115.0", "115"],
+    ["121", "128"],
+    ["130", "130"],
+    ["nightly", undefined],
+  ]) {
+    assert.equal(getThunderbirdVersion(firefox), thunderbird, `${firefox}`);
+  }
+});
+
+test("clones the Firefox data and reports unmapped versions", () => {
+  const bcd = {
+    api: {
+      tabs: compat(
+        { firefox: { version_added: "45" } },
+        {
+          executeScript: compat({
+            firefox: { version_added: "45", version_removed: "120" },
+          }),
+          old: compat({
+            firefox: { version_added: "45", version_removed: "60" },
+          }),
+          unknown: compat({ firefox: { version_added: "nightly" } }),
+        }
+      ),
+    },
+  };
+  const tcd = {};
+  const issues = [];
+  cloneBrowserCompatData(bcd, tcd, issues);
+  const { tabs } = tcd.api;
+  assert.deepEqual(getThunderbirdSupport(tabs.executeScript), {
+    version_added: "68",
+    version_removed: "128",
+  });
+  // Removed before Thunderbird supported MailExtensions.
+  assert.deepEqual(getThunderbirdSupport(tabs.old), { version_added: false });
+  assert.deepEqual(getThunderbirdSupport(tabs.unknown), {
+    version_added: null,
+  });
+  assert.deepEqual(issues, [
+    {
+      path: "webextensions.api.tabs.unknown",
+      type: "unmapped_version",
+      message: "cannot map Firefox version nightly to a Thunderbird version",
+    },
+  ]);
+});
+
+test("updates entries in nested notation", () => {
+  const tcd = {
+    webextensions: {
+      api: {
+        runtime: thunderbirdCompat("68", {
+          onInstalled: thunderbirdCompat("68", {
+            details: thunderbirdCompat("68", {
+              reason: thunderbirdCompat("68"),
+            }),
+          }),
+        }),
+      },
+    },
+  };
+  updateCompatData(
+    tcd,
+    "runtime.events.onInstalled.parameters.details.properties.reason",
+    { version_added: false },
+    new Set()
+  );
+  assert.deepEqual(
+    getThunderbirdSupport(
+      tcd.webextensions.api.runtime.onInstalled.details.reason
+    ),
+    { version_added: false }
+  );
+});
+
+test("updates entries in <paramName>_<propertyName>_parameter notation", () => {
+  const tcd = {
+    webextensions: {
+      api: {
+        tabs: thunderbirdCompat("68", {
+          update: thunderbirdCompat("68", {
+            updateProperties_muted_parameter: compat({
+              thunderbird: { version_added: "68" },
+            }),
+          }),
+        }),
+      },
+    },
+  };
+  updateCompatData(
+    tcd,
+    "tabs.functions.update.parameters.updateProperties.properties.muted",
+    { version_added: false },
+    new Set()
+  );
+  assert.deepEqual(
+    getThunderbirdSupport(
+      tcd.webextensions.api.tabs.update.updateProperties_muted_parameter
+    ),
+    { version_added: false }
+  );
+});
+
+test("updates entries in <propertyName>_value notation", () => {
+  const tcd = {
+    webextensions: {
+      api: {
+        tabs: thunderbirdCompat("68", {
+          update: thunderbirdCompat("68", {
+            muted_value: thunderbirdCompat("68"),
+          }),
+        }),
+      },
+    },
+  };
+  updateCompatData(
+    tcd,
+    "tabs.functions.update.parameters.updateProperties.properties.muted",
+    { version_added: false },
+    new Set()
+  );
+  assert.deepEqual(
+    getThunderbirdSupport(tcd.webextensions.api.tabs.update.muted_value),
+    { version_added: false }
+  );
+});
+
+test("updates entries in flat notation", () => {
+  const tcd = {
+    webextensions: {
+      api: {
+        tabs: thunderbirdCompat("68", {
+          create: thunderbirdCompat("68", { pinned: thunderbirdCompat("68") }),
+        }),
+      },
+    },
+  };
+  updateCompatData(
+    tcd,
+    "tabs.functions.create.parameters.createProperties.properties.pinned",
+    { version_added: false },
+    new Set(),
+    false,
+    undefined,
+    {
+      confirmed_flat_props: [
+        "tabs.functions.create.parameters.createProperties.properties.",
+      ],
+    }
+  );
+  assert.deepEqual(
+    getThunderbirdSupport(tcd.webextensions.api.tabs.create.pinned),
+    { version_added: false }
+  );
+});
+
+test("updates entries of choices, returns and array items", () => {
+  const tcd = {
+    webextensions: {
+      api: {
+        compose: thunderbirdCompat("68", {
+          getDetails: thunderbirdCompat("68"),
+          ComposeDetails: thunderbirdCompat("68"),
+        }),
+      },
+    },
+  };
+  for (const namespace_entry of [
+    "compose.functions.getDetails.returns.properties.subject",
+    "compose.types.ComposeDetails.properties.to.choices.string",
+    "compose.types.ComposeDetails.properties.to.choices.array.items.choices.object.properties.id",
+    "compose.types.ComposeDetails.properties.attachments.items.properties.name",
+  ]) {
+    updateCompatData(
+      tcd,
+      namespace_entry,
+      { version_added: "115" },
+      new Set(),
+      true
+    );
+  }
+  const { getDetails, ComposeDetails } = tcd.webextensions.api.compose;
+  for (const entry of [
+    getDetails.returns.subject,
+    ComposeDetails.to.id,
+    ComposeDetails.attachments.name,
+  ]) {
+    assert.deepEqual(getThunderbirdSupport(entry), { version_added: "115" });
+  }
+  // A choices branch does not have an entry.
+  assert.equal(ComposeDetails.to.string, undefined);
+});
+
+test("updates entries of event filters and extra listener parameters", () => {
+  const tcd = {
+    webextensions: {
+      api: {
+        tabs: thunderbirdCompat("68", { onUpdated: thunderbirdCompat("68") }),
+      },
+    },
+  };
+  for (const namespace_entry of [
+    "tabs.events.onUpdated.extraParameters.filter.properties.properties.items.enum.isArticle",
+    "tabs.events.onUpdated.filters.url",
+  ]) {
+    updateCompatData(tcd, namespace_entry, { version_added: false }, new Set());
+  }
+  const { onUpdated } = tcd.webextensions.api.tabs;
+  assert.deepEqual(
+    getThunderbirdSupport(onUpdated.filter.properties.isArticle),
+    { version_added: false }
+  );
+  assert.deepEqual(getThunderbirdSupport(onUpdated.url), {
+    version_added: false,
+  });
+});
+
+test("collects choices branches, returns and additionalProperties", () => {
+  const namespaces = [
+    {
+      namespace: "compose",
+      types: [
+        {
+          id: "ComposeRecipient",
+          choices: [
+            { type: "string" },
+            { type: "object", properties: { id: { type: "string" } } },
+          ],
+        },
+      ],
+      functions: [
+        {
+          name: "getDetails",
+          type: "function",
+          parameters: [
+            {
+              name: "headers",
+              type: "object",
+              additionalProperties: { type: "string" },
+            },
+            { name: "to", choices: [{ $ref: "ComposeRecipient" }] },
+          ],
+          returns: { type: "object", properties: { subject: {} } },
+        },
+      ],
+    },
+  ];
+  const entries = new Map();
+  collectNamespaceEntriesAndResolveRefs(namespaces[0], entries, namespaces);
+  const prefix = "compose.functions.getDetails";
+  for (const path of [
+    `${prefix}.parameters.headers.additionalProperties`,
+    `${prefix}.parameters.to.choices.ComposeRecipient.choices.object.properties.id`,
+    `${prefix}.returns.properties.subject`,
+  ]) {
+    assert.ok(entries.has(path), path);
+  }
+  // The choices branches themselves are not collected.
+  for (const path of [
+    `${prefix}.parameters.to.choices.ComposeRecipient`,
+    `${prefix}.parameters.to.choices.ComposeRecipient.choices.string`,
+  ]) {
+    assert.ok(!entries.has(path), path);
+  }
+});
+
+test("names unsupported sub-entries in the notes", () => {
+  const prefix = "compose.functions.getDetails";
+  const entries = new Map([
+    [prefix, {}],
+    [`${prefix}.returns`, {}],
+    [`${prefix}.returns.properties.subject`, { unsupported: true }],
+    // Only the top most unsupported sub-entry is reported.
+    [`${prefix}.returns.properties.subject.enum.a`, { unsupported: true }],
+    [`${prefix}.parameters.list.items.properties.id`, { unsupported: true }],
+    [
+      `${prefix}.parameters.to.choices.object.properties.name`,
+      { unsupported: true },
+    ],
+  ]);
+  const unsupported = getUnsupportedSubEntries(entries);
+  assert.deepEqual(getAdditionalCompatData(prefix, {}, unsupported), {
+    partial_implementation: true,
+    notes: [
+      "<code>returns.subject</code> is not supported.",
+      "<code>list.id</code> is not supported.",
+      "<code>to.name</code> is not supported.",
+    ],
+  });
+});
+
+test("merges imported types", () => {
+  const namespaces = [
+    {
+      namespace: "messages",
+      types: [
+        {
+          id: "MessageHeader",
+          type: "object",
+          properties: { id: { type: "integer" } },
+        },
+        {
+          id: "MessageDetails",
+          $import: "MessageHeader",
+          properties: { subject: { type: "string" } },
+        },
+      ],
+    },
+  ];
+  processImports(namespaces);
+  assert.deepEqual(namespaces[0].types[1], {
+    id: "MessageDetails",
+    type: "object",
+    properties: { subject: { type: "string" }, id: { type: "integer" } },
+  });
+});
+
+test("imports qualified ids from the specified namespace", () => {
+  const namespaces = [
+    {
+      namespace: "manifest",
+      types: [
+        {
+          id: "ManifestBase",
+          type: "object",
+          properties: { name: { type: "string" } },
+        },
+      ],
+    },
+    {
+      namespace: "theme",
+      types: [
+        { id: "ManifestBase", type: "object", properties: {} },
+        {
+          id: "ThemeManifest",
+          $import: "manifest.ManifestBase",
+          properties: { theme: { type: "object" } },
+        },
+      ],
+    },
+  ];
+  const ambiguities = [];
+  processImports(namespaces, ambiguities);
+  assert.deepEqual(namespaces[1].types[1], {
+    id: "ThemeManifest",
+    type: "object",
+    properties: { theme: { type: "object" }, name: { type: "string" } },
+  });
+  assert.deepEqual(ambiguities, []);
+});
+
+test("reports ambiguous $refs", () => {
+  const namespaces = [
+    {
+      namespace: "mailTabs",
+      functions: [
+        {
+          name: "update",
+          type: "function",
+          parameters: [
+            { name: "tab", $ref: "Tab" },
+            { name: "qualifiedTab", $ref: "windows.Tab" },
+          ],
+        },
+      ],
+    },
+    {
+      namespace: "tabs",
+      types: [{ id: "Tab", type: "object", properties: { id: {} } }],
+    },
+    {
+      namespace: "windows",
+      types: [{ id: "Tab", type: "object", properties: { title: {} } }],
+    },
+  ];
+  const entries = new Map();
+  const ambiguities = [];
+  collectNamespaceEntriesAndResolveRefs(
+    namespaces[0],
+    entries,
+    namespaces,
+    [],
+    ambiguities
+  );
+  assert.ok(
+    entries.has("mailTabs.functions.update.parameters.tab.properties.id")
+  );
+  assert.ok(
+    entries.has(
+      "mailTabs.functions.update.parameters.qualifiedTab.properties.title"
+    )
+  );
+  assert.deepEqual(ambiguities, [
+    {
+      type: "$ref",
+      path: "mailTabs.functions.update.parameters.tab",
+      ref: "Tab",
+      namespaces: ["tabs", "windows"],
+    },
+  ]);
+});
+
+test("models recursive $refs as references to the type", () => {
+  const namespaces = [
+    {
+      namespace: "bookmarks",
+      types: [
+        {
+          id: "BookmarkTreeNode",
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            children: {
+              type: "array",
+              optional: true,
+              items: { $ref: "BookmarkTreeNode" },
+            },
+          },
+        },
+      ],
+      functions: [
+        {
+          name: "update",
+          type: "function",
+          parameters: [{ name: "node", $ref: "BookmarkTreeNode" }],
+        },
+      ],
+    },
+  ];
+  const entries = new Map();
+  const cycles = collectNamespaceEntriesAndResolveRefs(
+    namespaces[0],
+    entries,
+    namespaces
+  );
+  // The members of the type are collected at the type definition and at the
+  // referencing parameter, but the recursive usages are not followed.
+  assert.deepEqual(
+    [...entries.keys()].filter(e => e.endsWith(".children")),
+    [
+      "bookmarks.types.BookmarkTreeNode.properties.children",
+      "bookmarks.functions.update.parameters.node.properties.children",
+    ]
+  );
+  assert.deepEqual(cycles, [
+    {
+      path: "bookmarks.types.BookmarkTreeNode.properties.children.items",
+      ref: "BookmarkTreeNode",
+      target: "bookmarks.types.BookmarkTreeNode",
+    },
+    {
+      path: "bookmarks.functions.update.parameters.node.properties.children.items",
+      ref: "BookmarkTreeNode",
+      target: "bookmarks.types.BookmarkTreeNode",
+    },
+  ]);
+  // The schema is not modified.
+  assert.equal(
+    namespaces[0].functions[0].parameters[0].$ref,
+    "BookmarkTreeNode"
+  );
+});
+
+test("removes children with the same compat data as their parent", () => {
+  const data = {
+    api: {
+      tabs: thunderbirdCompat("68", {
+        create: thunderbirdCompat("68", {
+          active: thunderbirdCompat("68"),
+          pinned: thunderbirdCompat(false),
+        }),
+      }),
+    },
+  };
+  reduceBrowserCompatData(data, "webextensions", "webextensions");
+  assert.deepEqual(Object.keys(data.api.tabs.create), ["__compat", "pinned"]);
+});
+
+test("keeps deprecated children with the same support as their parent", () => {
+  const deprecated = thunderbirdCompat("68");
+  deprecated.__compat.status = {
+    deprecated: true,
+    experimental: false,
+    standard_track: false,
+  };
+  const data = {
+    api: {
+      tabs: thunderbirdCompat("68", {
+        create: thunderbirdCompat("68", {
+          active: thunderbirdCompat("68"),
+          selected: deprecated,
+        }),
+      }),
+    },
+  };
+  reduceBrowserCompatData(data, "webextensions", "webextensions");
+  assert.deepEqual(Object.keys(data.api.tabs.create), ["__compat", "selected"]);
+  assert.equal(data.api.tabs.create.selected.__compat.status.deprecated, true);
+});
+
+test("removes children of parents with notes and partial implementations", () => {
+  const data = {
+    api: {
+      messages: thunderbirdCompat("68", {
+        archive: compat(
+          {
+            thunderbird: {
+              version_added: "68",
+              partial_implementation: true,
+              notes: "<code>flag</code> is not supported.",
+            },
+          },
+          {
+            messageIds: thunderbirdCompat("68"),
+            flag: thunderbirdCompat(false),
+            folder: compat({
+              thunderbird: { version_added: "68", notes: "A note." },
+            }),
+          }
+        ),
+      }),
+    },
+  };
+  reduceBrowserCompatData(data, "webextensions", "webextensions");
+  assert.deepEqual(Object.keys(data.api.messages.archive), [
+    "__compat",
+    "flag",
+    "folder",
+  ]);
+});
+
+test("applies overrides and reports the overridden entries", () => {
+  const tcd = {
+    api: {
+      runtime: thunderbirdCompat("68", {
+        getManifest: thunderbirdCompat("68"),
+      }),
+    },
+  };
+  const override = {
+    api: {
+      runtime: {
+        getManifest: thunderbirdCompat(false),
+        getURL: thunderbirdCompat(true),
+      },
+    },
+  };
+  const modified = overrideBrowserCompatData(override, tcd);
+  assert.deepEqual(modified, override);
+  assert.deepEqual(getThunderbirdSupport(tcd.api.runtime.getManifest), {
+    version_added: false,
+  });
+  assert.deepEqual(getThunderbirdSupport(tcd.api.runtime.getURL), {
+    version_added: true,
+  });
+
+  // Overrides which do not change anything are not reported.
+  assert.equal(overrideBrowserCompatData(override, tcd), undefined);
+});
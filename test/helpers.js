@@ -0,0 +1,20 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Helpers to create compat data for the tests.
+ */
+
+// Create a compat entry with the given support data, and the given children.
+function compat(support, children = {}) {
+  return { __compat: { support }, ...children };
+}
+
+// Create a compat entry with the given Thunderbird version_added value, and the
+// given children.
+function thunderbirdCompat(version_added, children = {}) {
+  return compat({ thunderbird: { version_added } }, children);
+}
+
+module.exports = { compat, thunderbirdCompat };
@@ -0,0 +1,64 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { test } = require("node:test");
+const fs = require("fs-extra");
+
+const { lintCompatData } = require("../lint_compat_data.js");
+const { thunderbirdCompat } = require("./helpers.js");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+
+test("reports supported entries of unsupported parents", () => {
+  const tree = thunderbirdCompat(false, { create: thunderbirdCompat("91") });
+  assert.deepEqual(lintCompatData(tree, "api.tabs"), [
+    {
+      path: "api.tabs.create",
+      type: "supported_in_unsupported_parent",
+      message: "supported (91), but the parent is not supported",
+    },
+  ]);
+});
+
+test("reports entries supported before their parent", () => {
+  const tree = thunderbirdCompat("115", { create: thunderbirdCompat("91") });
+  assert.deepEqual(
+    lintCompatData(tree, "api.tabs").map(e => e.type),
+    ["supported_before_parent"]
+  );
+});
+
+test("reports mixed notations of parameter properties", () => {
+  const tree = thunderbirdCompat("68", {
+    details: thunderbirdCompat("68", { title: thunderbirdCompat("68") }),
+    details_title_parameter: thunderbirdCompat("68"),
+  });
+  assert.deepEqual(
+    lintCompatData(tree, "api.tabs.update").map(e => [e.path, e.type]),
+    [["api.tabs.update.details", "mixed_notation"]]
+  );
+});
+
+test("reports entries supported by Thunderbird but removed from Firefox", () => {
+  // The cloned Firefox entry, with a translated Thunderbird version.
+  const bcd = fs.readJsonSync(path.join(FIXTURES, "bcd.json"));
+  const executeScript = bcd.webextensions.api.tabs.executeScript;
+  executeScript.__compat.support.thunderbird = { version_added: "68" };
+
+  assert.deepEqual(lintCompatData(executeScript, "api.tabs.executeScript"), [
+    {
+      path: "api.tabs.executeScript",
+      type: "removed_in_firefox",
+      message: "supported, but removed from Firefox 120",
+    },
+  ]);
+
+  // Not an issue, if Thunderbird removed the entry as well.
+  executeScript.__compat.support.thunderbird.version_removed = "128";
+  assert.deepEqual(lintCompatData(executeScript, "api.tabs.executeScript"), []);
+});
@@ -0,0 +1,162 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+const assert = require("node:assert/strict");
+const { execFileSync, spawnSync } = require("node:child_process");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+const fs = require("fs-extra");
+
+// The shipped data does not yet include the permissions of the APIs, use the
+// permissions of the messages namespace as declared in its schema file. This
+// has to happen before the query module reads the data.
+const data = require("../thunderbird_mailextensions.json");
+data.permissions ??= {
+  messages: ["messagesRead"],
+  "messages.delete": ["messagesDelete"],
+};
+
+const { scanExtension } = require("../scan_extension.js");
+
+// Write an unpacked extension with the given manifest and background script.
+function writeExtension(dir, manifest, script) {
+  fs.writeJsonSync(path.join(dir, "manifest.json"), manifest);
+  fs.writeFileSync(path.join(dir, "background.js"), script);
+}
+
+// Scan an unpacked extension with the given manifest and background script.
+async function scan(manifest, script) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-extension-test-"));
+  try {
+    writeExtension(tmpDir, manifest, script);
+    return await scanExtension(tmpDir);
+  } finally {
+    fs.removeSync(tmpDir);
+  }
+}
+
+// A typical MailExtension manifest, using Thunderbird's own manifest keys and
+// permissions.
+const MAIL_EXTENSION_MANIFEST = {
+  manifest_version: 2,
+  name: "test",
+  version: "1.0",
+  browser_specific_settings: {
+    gecko: { id: "test@example.com", strict_min_version: "102.0" },
+  },
+  background: { scripts: ["background.js"] },
+  permissions: ["messagesRead", "accountsRead"],
+  message_display_action: { default_title: "Test" },
+};
+
+const MANIFEST = { manifest_version: 2, name: "test", version: "1.0" };
+
+test("reports unknown API members", async () => {
+  const issues = await scan(MANIFEST, "browser.tabs.qurey({});\n");
+  assert.deepEqual(issues, [
+    { file: "background.js", line: 1, api: "api.tabs.qurey", type: "unknown" },
+  ]);
+});
+
+test("skips comments and string literals", async () => {
+  const script = [
+    "// browser.tabs.qurey() in a comment",
+    'const url = "https://example.com/browser.html";',
+    "/* messenger.foo.bar",
+    "   in a block comment */ browser.tabs.qurey({});",
+    "const text = `browser.foo ${browser.tabs.qurey()}`;",
+    "other.browser.tabs.qurey();",
+  ].join("\n");
+  const issues = await scan(MANIFEST, script);
+  assert.deepEqual(
+    issues.map(e => [e.line, e.api, e.type]),
+    [
+      [4, "api.tabs.qurey", "unknown"],
+      [5, "api.tabs.qurey", "unknown"],
+    ]
+  );
+});
+
+test("does not report the manifest entries of a MailExtension", async () => {
+  const issues = await scan(
+    MAIL_EXTENSION_MANIFEST,
+    "browser.messages.query({});\nbrowser.accounts.list();\n"
+  );
+  assert.deepEqual(issues, []);
+});
+
+test("reports unsupported APIs, newer APIs and missing permissions", async () => {
+  const script = [
+    "browser.tabs.hide(1);",
+    "browser.commands.onChanged.addListener(() => {});",
+    "browser.messages.delete([1]);",
+  ].join("\n");
+  const issues = await scan(MAIL_EXTENSION_MANIFEST, script);
+  assert.deepEqual(issues, [
+    {
+      file: "background.js",
+      line: 1,
+      api: "api.tabs.hide",
+      type: "unsupported",
+    },
+    {
+      file: "background.js",
+      line: 2,
+      api: "api.commands.onChanged",
+      type: "version",
+      version_added: "115",
+    },
+    {
+      file: "background.js",
+      line: 3,
+      api: "api.messages.delete",
+      type: "permission",
+      permissions: ["messagesDelete"],
+    },
+  ]);
+});
+
+test("reports unsupported manifest entries", async () => {
+  const issues = await scan(
+    { ...MAIL_EXTENSION_MANIFEST, permissions: ["messagesRead", "tabHide"] },
+    ""
+  );
+  assert.deepEqual(issues, [
+    {
+      file: "manifest.json",
+      api: "manifest.permissions.tabHide",
+      type: "unsupported",
+    },
+  ]);
+});
+
+test(
+  "scans XPI files",
+  { skip: spawnSync("zip", ["-v"]).error && "zip is not available" },
+  async () => {
+    const tmpDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "scan-extension-test-")
+    );
+    try {
+      const dir = path.join(tmpDir, "extension");
+      fs.ensureDirSync(dir);
+      writeExtension(dir, MAIL_EXTENSION_MANIFEST, "browser.tabs.hide(1);\n");
+      const xpi = path.join(tmpDir, "extension.xpi");
+      execFileSync("zip", ["-qr", xpi, "."], { cwd: dir });
+      assert.deepEqual(await scanExtension(xpi), [
+        {
+          file: "background.js",
+          line: 1,
+          api: "api.tabs.hide",
+          type: "unsupported",
+        },
+      ]);
+    } finally {
+      fs.removeSync(tmpDir);
+    }
+  }
+);
@@ -0,0 +1,85 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+  getCompat,
+  isSupported,
+  resolveCompat,
+} = require("../thunderbird_compat_query.js");
+
+test("resolves entries in schema and BCD notation", () => {
+  for (const path of ["tabs.functions.query", "api.tabs.query"]) {
+    const resolved = resolveCompat(path);
+    assert.equal(resolved.path, "api.tabs.query");
+    assert.equal(resolved.inherited, false);
+  }
+});
+
+test("strips single, transparent and choices groups of schema paths", () => {
+  // The header property of the items of the requestHeaders array.
+  assert.deepEqual(
+    resolveCompat(
+      "declarativeNetRequest.types.RuleAction.properties.requestHeaders.items.properties.header"
+    ),
+    resolveCompat("declarativeNetRequest.RuleAction.requestHeaders.header")
+  );
+  assert.equal(
+    resolveCompat(
+      "declarativeNetRequest.types.RuleAction.properties.requestHeaders.items.properties.header"
+    ).inherited,
+    false
+  );
+  // An enum value of the items of an array.
+  assert.deepEqual(
+    resolveCompat(
+      "menus.functions.create.parameters.createProperties.properties.contexts.items.enum.tab"
+    ),
+    resolveCompat("menus.create.createProperties.contexts.tab")
+  );
+  // The name of a choices branch is not part of the BCD path.
+  assert.deepEqual(
+    resolveCompat(
+      "menus.functions.create.parameters.createProperties.properties.command.choices.string.enum._execute_page_action"
+    ),
+    resolveCompat("menus.create.command._execute_page_action")
+  );
+  assert.equal(
+    isSupported(
+      "menus.functions.create.parameters.createProperties.properties.command.choices.string.enum._execute_page_action"
+    ),
+    false
+  );
+});
+
+test("does not resolve members of Object.prototype", () => {
+  assert.equal(getCompat("toString"), undefined);
+  assert.equal(getCompat("__proto__"), undefined);
+  assert.equal(getCompat("tabs.constructor"), undefined);
+});
+
+test("inherits the compat data of minimized entries", () => {
+  // The parameters of compose.beginNew have been removed during minimization.
+  const resolved = resolveCompat("compose.beginNew.tabId");
+  assert.equal(resolved.path, "api.compose.beginNew");
+  assert.equal(resolved.inherited, true);
+  assert.equal(isSupported("compose.beginNew.tabId"), true);
+});
+
+test("does not report entries as supported, which do not exist", () => {
+  for (const path of [
+    "unknownNamespace",
+    "tabs.qurey",
+    "tabs.functions.qurey.parameters.queryInfo",
+    "manifest.unknown_key",
+    "manifest.permissions.unknownPermission",
+  ]) {
+    assert.equal(resolveCompat(path), undefined, path);
+    assert.equal(isSupported(path), false, path);
+  }
+});
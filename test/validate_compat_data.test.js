@@ -0,0 +1,83 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { test } = require("node:test");
+const fs = require("fs-extra");
+
+const { validateCompatData } = require("../validate_compat_data.js");
+
+const EXPECTED = path.join(
+  __dirname,
+  "fixtures",
+  "expected",
+  "thunderbird_mailextensions.json"
+);
+
+test("accepts the generated fixture data", () => {
+  const { webextensions } = fs.readJsonSync(EXPECTED);
+  assert.deepEqual(validateCompatData(webextensions, "webextensions"), []);
+});
+
+test("accepts the shipped data", () => {
+  const { webextensions } = fs.readJsonSync(
+    path.join(__dirname, "..", "thunderbird_mailextensions.json")
+  );
+  assert.deepEqual(validateCompatData(webextensions, "webextensions"), []);
+});
+
+test("reports invalid compat statements", () => {
+  const tree = {
+    api: {
+      tabs: {
+        __compat: {
+          support: {
+            thunderbird: {
+              version_added: "68",
+              notes: ["A single note."],
+              partial_implementation: false,
+            },
+          },
+        },
+        create: {
+          __compat: {
+            support: { thunderbird: { version_added: "latest" } },
+            status: { deprecated: true },
+          },
+        },
+        query: {
+          __compat: { support: { netscape: { version_added: "4" } } },
+        },
+      },
+    },
+  };
+  assert.deepEqual(validateCompatData(tree, "webextensions"), [
+    {
+      path: "webextensions.api.tabs",
+      message:
+        "__compat.support.thunderbird partial_implementation is not true",
+    },
+    {
+      path: "webextensions.api.tabs",
+      message:
+        "__compat.support.thunderbird notes is not a string or an array of multiple strings",
+    },
+    {
+      path: "webextensions.api.tabs.create",
+      message:
+        "__compat.status must have the boolean members deprecated, experimental, standard_track",
+    },
+    {
+      path: "webextensions.api.tabs.create",
+      message: "__compat.support.thunderbird invalid version_added: latest",
+    },
+    {
+      path: "webextensions.api.tabs.query",
+      message: "unknown browser __compat.support.netscape",
+    },
+  ]);
+});
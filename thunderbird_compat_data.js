@@ -10,5 +10,8 @@ const thunderbird_webextension = require("./thunderbird_mailextensions.json");
 // Update the compat data.
 bcd.webextensions = thunderbird_webextension.webextensions;
 
+// Add the permissions required by each API, keyed by API path. Not part of BCD.
+bcd.permissions = thunderbird_webextension.permissions ?? {};
+
 // Export the updated compat data.
 module.exports = bcd;
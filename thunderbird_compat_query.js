@@ -0,0 +1,263 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+const { webextensions } = require("./thunderbird_compat_data.js");
+const { permissions = {} } = require("./thunderbird_mailextensions.json");
+
+// The groups of the members of a namespace, used in schema notation paths (for
+// example messages.functions.query).
+const SCHEMA_MEMBER_GROUPS = ["functions", "events", "properties", "types"];
+
+// The groups of the sub-entries of a namespace member, as handled by the
+// generator. The named groups are followed by the name of the sub-entry (the
+// name of a choices branch is not part of the BCD path), the single groups are
+// a sub-entry themselves and the transparent groups are not part of the BCD
+// path (for example the enum values of the items of an array belong to the
+// array).
+const NAMED_SUB_ENTRY_TYPES = [
+  "properties",
+  "parameters",
+  "enum",
+  "choices",
+  "filters",
+  "extraParameters",
+];
+const SINGLE_SUB_ENTRY_TYPES = ["returns", "additionalProperties"];
+const TRANSPARENT_SUB_ENTRY_TYPES = ["items"];
+
+// Get the names of the sub-entries along a schema notation path, for example
+// parameters.queryInfo.properties.author becomes queryInfo.author.
+function getSubEntryNames(parts) {
+  const names = [];
+  for (let i = 0; i < parts.length; i++) {
+    if (SINGLE_SUB_ENTRY_TYPES.includes(parts[i])) {
+      names.push(parts[i]);
+    } else if (NAMED_SUB_ENTRY_TYPES.includes(parts[i])) {
+      const name = parts[++i];
+      if (parts[i - 1] != "choices" && name !== undefined) {
+        names.push(name);
+      }
+    } else if (!TRANSPARENT_SUB_ENTRY_TYPES.includes(parts[i])) {
+      // Not a group, keep it to not resolve a different entry.
+      names.push(parts[i]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Split a path into the root of the compat tree it belongs to and the names of
+ * the entries along the path. Supported are schema notation paths (for example
+ * messages.functions.query.parameters.queryInfo.properties.author) and BCD
+ * notation paths (for example messages.query.queryInfo.author), optionally
+ * prefixed by api, and manifest paths (for example manifest.permissions.tabs).
+ *
+ * @param {string} path
+ *
+ * @returns {object} The rootPath and the names along the path.
+ */
+function parsePath(path) {
+  const parts = path.split(".");
+  if (parts[0] == "manifest") {
+    return { rootPath: "manifest", names: parts.slice(1) };
+  }
+  if (parts[0] == "api") {
+    parts.shift();
+  }
+  if (SCHEMA_MEMBER_GROUPS.includes(parts[1])) {
+    // Remove the group names.
+    return {
+      rootPath: "api",
+      names: [
+        parts[0],
+        ...parts.slice(2, 3),
+        ...getSubEntryNames(parts.slice(3)),
+      ],
+    };
+  }
+  return { rootPath: "api", names: parts };
+}
+
+/**
+ * Find the entry of the given path in the compat tree. The different notations
+ * used by BCD for parameter properties are handled (nesting, flat,
+ * <paramName>_<propertyName>_parameter and <propertyName>_value). If the entry
+ * does not exist (for example because it was removed during minimization), the
+ * nearest parent entry with compat data is returned. Namespaces, their members
+ * and the manifest keys with their sub-keys are never removed during
+ * minimization, if one of them does not exist, no compat data is returned.
+ *
+ * @param {string} path
+ *
+ * @returns {object} The found __compat object (compat), the path of its entry
+ *   in BCD notation (path) and whether the compat data has been inherited from
+ *   a parent entry (inherited).
+ */
+function findEntry(path) {
+  const { rootPath, names } = parsePath(path);
+  let parent = null;
+  let key = rootPath;
+  let entry = webextensions[rootPath];
+  const resolved = [rootPath];
+  let nearest = { compat: undefined, path: undefined };
+
+  // Only own members are entries, not members of Object.prototype like
+  // constructor or toString.
+  const has = (obj, name) => !!obj && Object.hasOwn(obj, name);
+  for (const name of names) {
+    let container;
+    if (has(entry, name)) {
+      container = entry;
+      key = name;
+    } else if (has(parent, `${key}_${name}_parameter`)) {
+      container = parent;
+      key = `${key}_${name}_parameter`;
+    } else if (has(parent, `${name}_value`)) {
+      container = parent;
+      key = `${name}_value`;
+    } else if (has(parent, name)) {
+      container = parent;
+      key = name;
+    } else if (resolved.length < 3) {
+      return { compat: undefined, path: undefined, inherited: false };
+    } else {
+      return { ...nearest, inherited: true };
+    }
+
+    if (container === parent) {
+      resolved.pop();
+    }
+    resolved.push(key);
+    parent = container;
+    entry = parent[key];
+    if (entry.__compat) {
+      nearest = { compat: entry.__compat, path: resolved.join(".") };
+    }
+  }
+  return { ...nearest, inherited: nearest.path != resolved.join(".") };
+}
+
+/**
+ * Resolve the compat data of the given path. Entries which have the same compat
+ * data as their parent are removed during minimization, so if the requested
+ * entry does not exist, the compat data of its nearest parent is returned and
+ * marked as inherited.
+ *
+ * Note: Below the members of a namespace (and below the sub-keys of a manifest
+ * key), minimized entries cannot be distinguished from entries which do not
+ * exist at all, the compat data of misspelled or unknown entries is reported as
+ * inherited as well.
+ *
+ * @param {string} path - Path in schema or BCD notation.
+ *
+ * @returns {object|undefined} The __compat object (compat), the path of the
+ *   entry it belongs to in BCD notation (path) and whether it was inherited from
+ *   a parent entry (inherited), or undefined if nothing was found.
+ */
+function resolveCompat(path) {
+  const { compat, path: resolvedPath, inherited } = findEntry(path);
+  if (!compat) {
+    return undefined;
+  }
+  return { compat, path: resolvedPath, inherited };
+}
+
+/**
+ * Get the compat data of the given path. If the entry was removed during
+ * minimization, the compat data of its nearest parent is returned. Use
+ * resolveCompat() to find out whether the compat data was inherited.
+ *
+ * @param {string} path - Path in schema or BCD notation.
+ *
+ * @returns {object|undefined} The __compat object, or undefined if nothing was
+ *   found.
+ */
+function getCompat(path) {
+  return resolveCompat(path)?.compat;
+}
+
+// Convert a version string like "115" or "≤115" into a number.
+function parseVersion(version) {
+  return parseFloat(`${version}`.replace("≤", ""));
+}
+
+/**
+ * Check if the given path is supported by Thunderbird.
+ *
+ * @param {string} path - Path in schema or BCD notation.
+ * @param {string|number} [version] - The Thunderbird version to check. If not
+ *   specified, the current support status is returned.
+ *
+ * @returns {boolean}
+ */
+function isSupported(path, version) {
+  const support = getCompat(path)?.support?.thunderbird;
+  if (!support) {
+    return false;
+  }
+  return [support].flat().some(({ version_added, version_removed }) => {
+    if (!version_added) {
+      return false;
+    }
+    if (version === undefined) {
+      return !version_removed;
+    }
+    const requested = parseVersion(version);
+    return (
+      (version_added === true || requested >= parseVersion(version_added)) &&
+      (!version_removed || requested < parseVersion(version_removed))
+    );
+  });
+}
+
+/**
+ * List the members of an API namespace.
+ *
+ * @param {string} namespace - The name of the namespace, for example compose.
+ *
+ * @returns {string[]} The names of the functions, events, properties and types
+ *   of the namespace, or an empty array if the namespace does not exist.
+ */
+function listNamespace(namespace) {
+  return Object.keys(webextensions.api[namespace] ?? {})
+    .filter(e => e != "__compat")
+    .sort();
+}
+
+/**
+ * Get the permissions required to use the given API. The permissions required
+ * by the namespace (and by any other parent entry) are included.
+ *
+ * Note: Permissions of the form manifest:<key> require the given manifest key
+ * instead of a permission.
+ *
+ * @param {string} path - Path in schema or BCD notation, for example
+ *   messages.delete.
+ *
+ * @returns {string[]} The required permissions, an empty array if no permissions
+ *   are required or the API is unknown.
+ */
+function getPermissions(path) {
+  const { rootPath, names } = parsePath(path);
+  if (rootPath != "api") {
+    return [];
+  }
+  const required = new Set();
+  for (let i = 1; i <= names.length; i++) {
+    for (const permission of permissions[names.slice(0, i).join(".")] ?? []) {
+      required.add(permission);
+    }
+  }
+  return [...required];
+}
+
+module.exports = {
+  getCompat,
+  getPermissions,
+  isSupported,
+  listNamespace,
+  resolveCompat,
+};
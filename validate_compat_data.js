@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Validate a generated compat dataset against the compat data schema of
+ * browser-compat-data.
+ *
+ * Note: The @mdn/browser-compat-data package does not ship the JSON schema
+ * file itself (only the TypeScript types generated from it), so the rules of
+ * schemas/compat-data.schema.json are implemented here: allowed members of
+ * __compat objects, support statements and flag statements, the shape of the
+ * support statements and the format of version strings.
+ */
+
+const fs = require("fs-extra");
+const yargs = require("yargs");
+const bcd = require("@mdn/browser-compat-data");
+
+const COMPAT_KEYS = [
+  "description",
+  "mdn_url",
+  "source_file",
+  "spec_url",
+  "status",
+  "support",
+  "tags",
+];
+const SUPPORT_STATEMENT_KEYS = [
+  "alternative_name",
+  "flags",
+  "impl_url",
+  "notes",
+  "partial_implementation",
+  "prefix",
+  "version_added",
+  "version_last",
+  "version_removed",
+];
+const STATUS_KEYS = ["deprecated", "experimental", "standard_track"];
+const FLAG_KEYS = ["name", "type", "value_to_set"];
+const FLAG_TYPES = ["preference", "runtime_flag"];
+const BROWSER_NAMES = [...Object.keys(bcd.browsers), "thunderbird"];
+const VERSION_REGEX = /^(≤?\d+(\.\d+)*|preview)$/;
+
+const HELP_SCREEN = `
+Usage:
+
+    node validate_compat_data.js <options>
+
+Required options:
+   --data=path              - Path to the generated JSON file (for example
+                              thunderbird_mailextensions.json).
+
+The command exits with a non-zero exit code, if errors have been found.
+
+`;
+
+if (require.main === module) {
+  const args = yargs.argv;
+  if (!args.data) {
+    console.log(HELP_SCREEN);
+  } else {
+    const json = JSON.parse(fs.readFileSync(args.data, "utf-8"));
+    const errors = validateCompatData(json.webextensions, "webextensions");
+    errors.forEach(e => console.log(`${e.path}: ${e.message}`));
+    console.log(`Found ${errors.length} error(s) in ${args.data}`);
+    if (errors.length) {
+      process.exitCode = 1;
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+
+function isObject(value) {
+  return typeof value === "object" && !!value && !Array.isArray(value);
+}
+
+function isString(value) {
+  return typeof value === "string";
+}
+
+function isStringOrStrings(value) {
+  return (
+    isString(value) ||
+    (Array.isArray(value) && value.length > 0 && value.every(isString))
+  );
+}
+
+function isVersion(value) {
+  return (
+    typeof value === "boolean" ||
+    value === null ||
+    (isString(value) && VERSION_REGEX.test(value))
+  );
+}
+
+/**
+ * Validate a single support statement.
+ *
+ * @param {any} statement - The support statement.
+ *
+ * @returns {string[]} The found problems.
+ */
+function getSupportStatementIssues(statement) {
+  if (!isObject(statement)) {
+    return ["is not an object"];
+  }
+  const issues = [];
+  for (const key of Object.keys(statement)) {
+    if (!SUPPORT_STATEMENT_KEYS.includes(key)) {
+      issues.push(`unknown member ${key}`);
+    }
+  }
+  if (!("version_added" in statement)) {
+    issues.push("missing version_added");
+  } else if (!isVersion(statement.version_added)) {
+    issues.push(`invalid version_added: ${statement.version_added}`);
+  }
+  for (const key of ["version_removed", "version_last"]) {
+    if (key in statement && !isVersion(statement[key])) {
+      issues.push(`invalid ${key}: ${statement[key]}`);
+    }
+  }
+  for (const key of ["prefix", "alternative_name"]) {
+    if (key in statement && !isString(statement[key])) {
+      issues.push(`${key} is not a string`);
+    }
+  }
+  if ("impl_url" in statement && !isStringOrStrings(statement.impl_url)) {
+    issues.push("impl_url is not a string or an array of strings");
+  }
+  if (
+    "partial_implementation" in statement &&
+    statement.partial_implementation !== true
+  ) {
+    issues.push("partial_implementation is not true");
+  }
+  if ("notes" in statement) {
+    // Single notes must not be wrapped into an array.
+    if (
+      !isStringOrStrings(statement.notes) ||
+      (Array.isArray(statement.notes) && statement.notes.length < 2)
+    ) {
+      issues.push("notes is not a string or an array of multiple strings");
+    }
+  }
+  if ("flags" in statement) {
+    if (!Array.isArray(statement.flags) || !statement.flags.length) {
+      issues.push("flags is not a non-empty array");
+    } else {
+      for (const flag of statement.flags) {
+        if (
+          !isObject(flag) ||
+          Object.keys(flag).some(e => !FLAG_KEYS.includes(e)) ||
+          !FLAG_TYPES.includes(flag.type) ||
+          !isString(flag.name)
+        ) {
+          issues.push(`invalid flag: ${JSON.stringify(flag)}`);
+        }
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Validate a __compat object.
+ *
+ * @param {any} compat - The __compat object.
+ *
+ * @returns {string[]} The found problems, prefixed by the path of the affected
+ *   member, relative to the __compat object.
+ */
+function getCompatStatementIssues(compat) {
+  if (!isObject(compat)) {
+    return ["__compat is not an object"];
+  }
+  const issues = [];
+  for (const key of Object.keys(compat)) {
+    if (!COMPAT_KEYS.includes(key)) {
+      issues.push(`unknown member __compat.${key}`);
+    }
+  }
+  for (const key of ["description", "mdn_url", "source_file"]) {
+    if (key in compat && !isString(compat[key])) {
+      issues.push(`__compat.${key} is not a string`);
+    }
+  }
+  for (const key of ["spec_url", "tags"]) {
+    if (key in compat && !isStringOrStrings(compat[key])) {
+      issues.push(`__compat.${key} is not a string or an array of strings`);
+    }
+  }
+  if ("status" in compat) {
+    const status = compat.status;
+    if (
+      !isObject(status) ||
+      Object.keys(status).length != STATUS_KEYS.length ||
+      STATUS_KEYS.some(e => typeof status[e] !== "boolean")
+    ) {
+      issues.push(
+        `__compat.status must have the boolean members ${STATUS_KEYS.join(
+          ", "
+        )}`
+      );
+    }
+  }
+
+  if (!isObject(compat.support)) {
+    issues.push("missing __compat.support");
+    return issues;
+  }
+  for (const [browser, support] of Object.entries(compat.support)) {
+    const supportPath = `__compat.support.${browser}`;
+    if (!BROWSER_NAMES.includes(browser)) {
+      issues.push(`unknown browser ${supportPath}`);
+      continue;
+    }
+    if (Array.isArray(support)) {
+      if (support.length < 2) {
+        issues.push(`${supportPath} is an array with less than 2 statements`);
+      }
+      support.forEach((statement, i) =>
+        getSupportStatementIssues(statement).forEach(e =>
+          issues.push(`${supportPath}[${i}] ${e}`)
+        )
+      );
+    } else {
+      getSupportStatementIssues(support).forEach(e =>
+        issues.push(`${supportPath} ${e}`)
+      );
+    }
+  }
+  return issues;
+}
+
+/**
+ * Validate a compat tree.
+ *
+ * @param {object} tree - The compat tree, for example the webextensions tree
+ *   of a generated dataset.
+ * @param {string} [path] - The path of the compat tree, used in the reported
+ *   errors.
+ *
+ * @returns {object[]} The found errors, each with the path of the affected
+ *   entry and a message.
+ */
+function validateCompatData(tree, path = "", errors = []) {
+  if (!isObject(tree)) {
+    errors.push({ path, message: "entry is not an object" });
+    return errors;
+  }
+  for (const [key, value] of Object.entries(tree)) {
+    if (key == "__compat") {
+      getCompatStatementIssues(value).forEach(message =>
+        errors.push({ path, message })
+      );
+    } else {
+      validateCompatData(value, path ? `${path}.${key}` : key, errors);
+    }
+  }
+  return errors;
+}
+
+module.exports = { getCompatStatementIssues, validateCompatData };